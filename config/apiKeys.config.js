@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const config = require('./sharepoint.config');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const keySchema = Joi.object({
+  name: Joi.string().required(),
+  // Either the key itself or its SHA-256 hex digest
+  key: Joi.string().min(16),
+  keyHash: Joi.string().hex().length(64),
+  methods: Joi.array().items(Joi.string().uppercase().valid(...HTTP_METHODS)).default(HTTP_METHODS),
+  lists: Joi.object({
+    allow: Joi.array().items(Joi.string()).default(['*']),
+    deny: Joi.array().items(Joi.string()).default([])
+  }).default({ allow: ['*'], deny: [] }),
+  // Site aliases the key may use ('default' is SHAREPOINT_SITE_URL)
+  sites: Joi.array().items(Joi.string().lowercase()).default(['*']),
+  expiresAt: Joi.date().iso().allow(null).default(null)
+}).xor('key', 'keyHash');
+
+const registrySchema = Joi.object({
+  keys: Joi.array().items(keySchema).min(1).unique('name').required()
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Normalise a validated entry: keep only the key hash in memory
+ */
+const toEntry = ({ key, keyHash, lists, ...entry }) => ({
+  ...entry,
+  hash: key ? hashKey(key) : Buffer.from(keyHash, 'hex'),
+  lists: {
+    allow: lists.allow.map(title => title.toLowerCase()),
+    deny: lists.deny.map(title => title.toLowerCase())
+  },
+  restricted: lists.deny.length > 0 || !lists.allow.includes('*'),
+  fullAccess: lists.deny.length === 0 && lists.allow.includes('*') && entry.sites.includes('*') &&
+    HTTP_METHODS.every(method => entry.methods.includes(method))
+});
+
+/**
+ * Load the key registry from API_KEYS_FILE, falling back to the single
+ * API_KEY with full access
+ */
+const loadApiKeys = () => {
+  if (!config.server.apiKeysFile) {
+    return [toEntry({
+      name: 'default',
+      key: config.server.apiKey,
+      methods: HTTP_METHODS,
+      lists: { allow: ['*'], deny: [] },
+      sites: ['*'],
+      expiresAt: null
+    })];
+  }
+
+  const filePath = path.resolve(config.server.apiKeysFile);
+  let registry;
+
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ CONFIGURATION ERROR: Could not read API key registry ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { error, value } = registrySchema.validate(registry, { convert: true });
+  if (error) {
+    console.error(`❌ CONFIGURATION ERROR: Invalid API key registry ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  return value.keys.map(toEntry);
+};
+
+const apiKeys = loadApiKeys();
+
+/**
+ * Find the registry entry for a presented key.
+ * Every entry is compared (in constant time) so timing does not reveal
+ * which key, or how much of it, matched.
+ */
+const findApiKey = (presentedKey) => {
+  const presentedHash = hashKey(presentedKey);
+  let match = null;
+
+  for (const entry of apiKeys) {
+    if (crypto.timingSafeEqual(presentedHash, entry.hash)) {
+      match = entry;
+    }
+  }
+  return match;
+};
+
+/**
+ * Whether a key may touch a list or library (deny wins over allow)
+ */
+const canAccessList = (entry, listTitle) => {
+  const title = String(listTitle).toLowerCase();
+  if (entry.lists.deny.includes(title)) return false;
+  return entry.lists.allow.includes('*') || entry.lists.allow.includes(title);
+};
+
+/**
+ * Whether a key may use a site (by alias)
+ */
+const canAccessSite = (entry, siteAlias) => entry.sites.includes('*') || entry.sites.includes(siteAlias);
+
+module.exports = { apiKeys, findApiKey, canAccessList, canAccessSite, hashKey };
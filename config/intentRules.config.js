@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const config = require('./sharepoint.config');
+
+const aliases = Joi.array().items(Joi.string().min(1)).default([]);
+
+const rulesSchema = Joi.object({
+  people: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    aliases
+  })).default([]),
+  folders: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    // Server-relative folder URL, e.g. /sites/Marketing/Shared Documents/Templates
+    path: Joi.string().pattern(/^\//).required(),
+    aliases
+  })).default([]),
+  documents: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    aliases
+  })).default([]),
+  // Extension -> words that mean it, e.g. { "pptx": ["slides", "deck"] }
+  fileTypes: Joi.object().pattern(/^[a-z0-9]+$/i, Joi.array().items(Joi.string().min(1)).min(1))
+});
+
+/**
+ * Read and validate an intent rules file; exits on a bad file, like the rest
+ * of the configuration
+ */
+const readIntentRules = (file) => {
+  const filePath = path.resolve(file);
+  let rules;
+
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ CONFIGURATION ERROR: Could not read intent rules ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { error, value } = rulesSchema.validate(rules, { convert: true });
+  if (error) {
+    console.error(`❌ CONFIGURATION ERROR: Invalid intent rules ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  return value;
+};
+
+/**
+ * Smart search intent rules from INTENT_RULES_FILE (empty without it); sites
+ * with their own intentRulesFile in the site registry use that instead
+ */
+const intentRules = config.search.intentRulesFile ? readIntentRules(config.search.intentRulesFile) : {};
+
+module.exports = { intentRules, readIntentRules };
@@ -1,14 +1,40 @@
 require('dotenv').config();
 
 // Validate required environment variables on startup
+const credentialType = process.env.SHAREPOINT_CREDENTIAL_TYPE || 'secret';
+const tokenVersion = process.env.SHAREPOINT_TOKEN_VERSION || (credentialType === 'certificate' ? 'v2' : 'v1');
+
+if (!['secret', 'certificate'].includes(credentialType) || !['v1', 'v2'].includes(tokenVersion)) {
+  console.error('❌ CONFIGURATION ERROR: SHAREPOINT_CREDENTIAL_TYPE must be "secret" or "certificate" and SHAREPOINT_TOKEN_VERSION must be "v1" or "v2"');
+  process.exit(1);
+}
+
+const cacheBackend = process.env.CACHE_BACKEND || 'memory';
+
+if (!['memory', 'redis'].includes(cacheBackend)) {
+  console.error('❌ CONFIGURATION ERROR: CACHE_BACKEND must be "memory" or "redis"');
+  process.exit(1);
+}
+
 const requiredEnvVars = [
   'SHAREPOINT_TENANT_ID',
   'SHAREPOINT_CLIENT_ID',
-  'SHAREPOINT_CLIENT_SECRET',
   'SHAREPOINT_SITE_URL',
-  'API_KEY'
+  // A key registry file replaces the single API key
+  ...(process.env.API_KEYS_FILE ? [] : ['API_KEY']),
+  ...(cacheBackend === 'redis' ? ['REDIS_URL'] : []),
+  // Notifications are only trusted when they carry our client state
+  ...(process.env.WEBHOOK_NOTIFICATION_URL ? ['WEBHOOK_CLIENT_STATE'] : []),
+  ...(credentialType === 'certificate'
+    ? ['SHAREPOINT_PRIVATE_KEY_PATH']
+    : ['SHAREPOINT_CLIENT_SECRET'])
 ];
 
+if (credentialType === 'certificate' &&
+    !process.env.SHAREPOINT_CERTIFICATE_PATH && !process.env.SHAREPOINT_CERTIFICATE_THUMBPRINT) {
+  requiredEnvVars.push('SHAREPOINT_CERTIFICATE_PATH');
+}
+
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -38,7 +64,9 @@ module.exports = {
   server: {
     port: process.env.PORT || 10000,
     env: process.env.NODE_ENV || 'development',
-    apiKey: process.env.API_KEY
+    apiKey: process.env.API_KEY,
+    // JSON registry of named, scoped API keys (see config/api-keys.example.json)
+    apiKeysFile: process.env.API_KEYS_FILE
   },
   sharepoint: {
     tenantId: process.env.SHAREPOINT_TENANT_ID,
@@ -46,13 +74,105 @@ module.exports = {
     clientSecret: process.env.SHAREPOINT_CLIENT_SECRET,
     siteUrl: process.env.SHAREPOINT_SITE_URL,
     tenantName: process.env.SHAREPOINT_TENANT_NAME,
-    // CRITICAL: Use v1.0 endpoint
-    tokenEndpoint: `https://login.microsoftonline.com/${process.env.SHAREPOINT_TENANT_ID}/oauth2/token`,
-    resource: process.env.SHAREPOINT_SITE_URL
+    // 'secret' (client secret) or 'certificate' (signed client assertion)
+    credentialType,
+    // 'v1' sends `resource`, 'v2' (Microsoft identity platform) sends `scope`
+    tokenVersion,
+    tokenEndpoint: process.env.TOKEN_ENDPOINT || (tokenVersion === 'v2'
+      ? `https://login.microsoftonline.com/${process.env.SHAREPOINT_TENANT_ID}/oauth2/v2.0/token`
+      : `https://login.microsoftonline.com/${process.env.SHAREPOINT_TENANT_ID}/oauth2/token`),
+    resource: process.env.SHAREPOINT_SITE_URL,
+    scope: process.env.SHAREPOINT_SCOPE || `${new URL(process.env.SHAREPOINT_SITE_URL).origin}/.default`,
+    certificatePath: process.env.SHAREPOINT_CERTIFICATE_PATH,
+    certificateThumbprint: process.env.SHAREPOINT_CERTIFICATE_THUMBPRINT,
+    privateKeyPath: process.env.SHAREPOINT_PRIVATE_KEY_PATH,
+    privateKeyPassphrase: process.env.SHAREPOINT_PRIVATE_KEY_PASSPHRASE,
+    // JSON registry of further sites served under /api/sites/:siteAlias
+    // (see config/sites.example.json); the site above is the default
+    sitesFile: process.env.SHAREPOINT_SITES_FILE
+  },
+  delegatedAuth: {
+    // When enabled, a caller may send X-API-Key together with its own Azure AD
+    // token (Authorization: Bearer ...) to run requests as that user
+    enabled: process.env.DELEGATED_AUTH_ENABLED === 'true'
   },
   cache: {
     tokenTTL: parseIntSafe(process.env.TOKEN_CACHE_TTL, 3500, 'TOKEN_CACHE_TTL'),
-    dataTTL: parseIntSafe(process.env.DATA_CACHE_TTL, 300, 'DATA_CACHE_TTL')
+    dataTTL: parseIntSafe(process.env.DATA_CACHE_TTL, 300, 'DATA_CACHE_TTL'),
+    // Expired item entries are kept this long and revalidated upstream by ETag
+    revalidateTTL: Math.max(
+      parseIntSafe(process.env.DATA_CACHE_TTL, 300, 'DATA_CACHE_TTL'),
+      parseIntSafe(process.env.DATA_REVALIDATE_TTL, 3600, 'DATA_REVALIDATE_TTL')
+    ),
+    // 'memory' (per instance) or 'redis' (shared by all instances)
+    backend: cacheBackend,
+    // With the memory backend, a Redis URL enables cross-instance invalidation
+    redisUrl: process.env.REDIS_URL,
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'sharepoint-api',
+    // How long a loader holds the shared lock that stops cache stampedes
+    lockTimeoutMs: parseIntSafe(process.env.CACHE_LOCK_TIMEOUT_MS, 10000, 'CACHE_LOCK_TIMEOUT_MS')
+  },
+  retry: {
+    // Applies to idempotent requests that hit throttling (429/503) or transient errors
+    maxAttempts: parseIntSafe(process.env.RETRY_MAX_ATTEMPTS, 4, 'RETRY_MAX_ATTEMPTS'),
+    baseDelayMs: parseIntSafe(process.env.RETRY_BASE_DELAY_MS, 500, 'RETRY_BASE_DELAY_MS'),
+    maxDelayMs: parseIntSafe(process.env.RETRY_MAX_DELAY_MS, 30000, 'RETRY_MAX_DELAY_MS'),
+    maxTotalTimeMs: parseIntSafe(process.env.RETRY_MAX_TOTAL_TIME_MS, 60000, 'RETRY_MAX_TOTAL_TIME_MS')
+  },
+  circuitBreaker: {
+    failureThreshold: parseIntSafe(process.env.CIRCUIT_FAILURE_THRESHOLD, 10, 'CIRCUIT_FAILURE_THRESHOLD'),
+    cooldownMs: parseIntSafe(process.env.CIRCUIT_COOLDOWN_MS, 60000, 'CIRCUIT_COOLDOWN_MS')
+  },
+  search: {
+    // Smart search intent rules (people, folders, documents, file types)
+    intentRulesFile: process.env.INTENT_RULES_FILE,
+    // Add the site's users and library folders as people/folder aliases
+    discoverIntentRules: process.env.INTENT_RULES_DISCOVERY === 'true'
+  },
+  discovery: {
+    // Folder levels returned by a library's folder tree unless ?depth= asks otherwise
+    folderTreeDepth: parseIntSafe(process.env.FOLDER_TREE_DEPTH, 2, 'FOLDER_TREE_DEPTH'),
+    // Upper bound for ?depth= (every level is one request per folder)
+    folderTreeMaxDepth: parseIntSafe(process.env.FOLDER_TREE_MAX_DEPTH, 5, 'FOLDER_TREE_MAX_DEPTH'),
+    // Folder requests a single tree may have in flight at once
+    folderTreeConcurrency: Math.max(1, parseIntSafe(process.env.FOLDER_TREE_CONCURRENCY, 4, 'FOLDER_TREE_CONCURRENCY'))
+  },
+  paging: {
+    // Page size used when following __next links, and the hard ceiling
+    // on items returned by a "fetch all" request
+    pageSize: parseIntSafe(process.env.PAGING_PAGE_SIZE, 5000, 'PAGING_PAGE_SIZE'),
+    maxItems: parseIntSafe(process.env.PAGING_MAX_ITEMS, 50000, 'PAGING_MAX_ITEMS'),
+    // Key signing paging cursors; set it when several instances share traffic
+    // (without it each process signs with its own random key)
+    cursorSecret: process.env.PAGING_CURSOR_SECRET
+  },
+  batch: {
+    // SharePoint accepts at most 100 operations per $batch request
+    maxOperations: Math.min(parseIntSafe(process.env.BATCH_MAX_OPERATIONS, 100, 'BATCH_MAX_OPERATIONS'), 100),
+    // Upper bound on operations accepted by one API call
+    maxRequestOperations: parseIntSafe(process.env.BATCH_MAX_REQUEST_OPERATIONS, 1000, 'BATCH_MAX_REQUEST_OPERATIONS')
+  },
+  files: {
+    // Files larger than one chunk are sent through the chunked upload API
+    uploadChunkSize: parseIntSafe(process.env.UPLOAD_CHUNK_SIZE, 10485760, 'UPLOAD_CHUNK_SIZE'),
+    // How long cross-site copy and move jobs stay queryable (seconds)
+    copyJobTTL: parseIntSafe(process.env.COPY_JOB_TTL, 86400, 'COPY_JOB_TTL')
+  },
+  webhooks: {
+    // Public URL of POST /api/webhooks/notifications; webhooks are off without it
+    notificationUrl: process.env.WEBHOOK_NOTIFICATION_URL,
+    clientState: process.env.WEBHOOK_CLIENT_STATE,
+    callbacksFile: process.env.WEBHOOK_CALLBACKS_FILE,
+    // Where subscriptions are kept when no REDIS_URL is set (single instance only)
+    stateFile: process.env.WEBHOOK_STATE_FILE || './data/webhook-subscriptions.json',
+    // SharePoint allows at most 180 days
+    expirationDays: Math.min(180, parseIntSafe(process.env.WEBHOOK_EXPIRATION_DAYS, 180, 'WEBHOOK_EXPIRATION_DAYS')),
+    renewBeforeDays: parseIntSafe(process.env.WEBHOOK_RENEW_BEFORE_DAYS, 30, 'WEBHOOK_RENEW_BEFORE_DAYS'),
+    renewIntervalMs: parseIntSafe(process.env.WEBHOOK_RENEW_INTERVAL_MS, 3600000, 'WEBHOOK_RENEW_INTERVAL_MS'),
+    callbackMaxAttempts: parseIntSafe(process.env.WEBHOOK_CALLBACK_MAX_ATTEMPTS, 5, 'WEBHOOK_CALLBACK_MAX_ATTEMPTS'),
+    callbackTimeoutMs: parseIntSafe(process.env.WEBHOOK_CALLBACK_TIMEOUT_MS, 10000, 'WEBHOOK_CALLBACK_TIMEOUT_MS'),
+    // How long one instance may hold a subscription (processing or renewal) with REDIS_URL set
+    lockTimeoutMs: parseIntSafe(process.env.WEBHOOK_LOCK_TIMEOUT_MS, 300000, 'WEBHOOK_LOCK_TIMEOUT_MS')
   },
   rateLimit: {
     windowMs: parseIntSafe(process.env.RATE_LIMIT_WINDOW_MS, 900000, 'RATE_LIMIT_WINDOW_MS'),
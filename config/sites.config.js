@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const config = require('./sharepoint.config');
+const { readIntentRules } = require('./intentRules.config');
+
+// Alias of the site configured through SHAREPOINT_SITE_URL
+const DEFAULT_SITE_ALIAS = 'default';
+
+// Credential settings a site takes over from the default site unless it has its own
+const CREDENTIAL_FIELDS = [
+  'tenantId', 'tenantName', 'clientId', 'clientSecret', 'credentialType', 'tokenVersion', 'tokenEndpoint',
+  'certificatePath', 'certificateThumbprint', 'privateKeyPath', 'privateKeyPassphrase'
+];
+
+const siteSchema = Joi.object({
+  alias: Joi.string().lowercase().pattern(/^[a-z0-9][a-z0-9_-]*$/).invalid(DEFAULT_SITE_ALIAS).required(),
+  siteUrl: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  // Own tenant and app registration; omitted, the default site's are used
+  tenantId: Joi.string(),
+  tenantName: Joi.string(),
+  clientId: Joi.string(),
+  credentialType: Joi.string().valid('secret', 'certificate').default('secret'),
+  tokenVersion: Joi.string().valid('v1', 'v2'),
+  tokenEndpoint: Joi.string().uri(),
+  scope: Joi.string(),
+  clientSecret: Joi.string(),
+  certificatePath: Joi.string(),
+  certificateThumbprint: Joi.string(),
+  privateKeyPath: Joi.string(),
+  privateKeyPassphrase: Joi.string(),
+  // Smart search intent rules for this site; omitted, INTENT_RULES_FILE applies
+  intentRulesFile: Joi.string()
+})
+  .and('tenantId', 'clientId')
+  .when(Joi.object({ clientId: Joi.exist(), credentialType: Joi.valid('secret') }).unknown(), {
+    then: Joi.object({ clientSecret: Joi.required() })
+  })
+  .when(Joi.object({ clientId: Joi.exist(), credentialType: Joi.valid('certificate').required() }).unknown(), {
+    then: Joi.object({ privateKeyPath: Joi.required() }).or('certificatePath', 'certificateThumbprint')
+  });
+
+const registrySchema = Joi.object({
+  sites: Joi.array().items(siteSchema).unique('alias').required()
+});
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Settings for a registered site: its own URL, token resource and scope,
+ * with either its own credentials or the default site's, and its own intent
+ * rules when it names a file
+ */
+const toSite = ({ alias, siteUrl, scope, intentRulesFile, ...entry }) => {
+  const url = siteUrl.replace(/\/+$/, '');
+  let credentials = pick(config.sharepoint, CREDENTIAL_FIELDS);
+
+  if (entry.clientId) {
+    const tokenVersion = entry.tokenVersion || (entry.credentialType === 'certificate' ? 'v2' : 'v1');
+    credentials = {
+      ...pick(entry, CREDENTIAL_FIELDS),
+      tokenVersion,
+      tokenEndpoint: entry.tokenEndpoint || (tokenVersion === 'v2'
+        ? `https://login.microsoftonline.com/${entry.tenantId}/oauth2/v2.0/token`
+        : `https://login.microsoftonline.com/${entry.tenantId}/oauth2/token`)
+    };
+  }
+
+  return {
+    alias,
+    ...credentials,
+    siteUrl: url,
+    resource: url,
+    scope: scope || `${new URL(url).origin}/.default`,
+    ...(intentRulesFile ? { intentRules: readIntentRules(intentRulesFile) } : {})
+  };
+};
+
+/**
+ * Load the registry from SHAREPOINT_SITES_FILE (only the default site without it)
+ */
+const loadSites = () => {
+  if (!config.sharepoint.sitesFile) return [];
+
+  const filePath = path.resolve(config.sharepoint.sitesFile);
+  let registry;
+
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ CONFIGURATION ERROR: Could not read site registry ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { error, value } = registrySchema.validate(registry, { convert: true });
+  if (error) {
+    console.error(`❌ CONFIGURATION ERROR: Invalid site registry ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  return value.sites.map(toSite);
+};
+
+const { sitesFile, ...defaultSettings } = config.sharepoint;
+const defaultSite = { alias: DEFAULT_SITE_ALIAS, ...defaultSettings };
+const sites = [defaultSite, ...loadSites()];
+
+/**
+ * Site for an alias (case-insensitive), or null when it is not registered
+ */
+const findSite = (alias) => {
+  const key = String(alias).toLowerCase();
+  return sites.find(site => site.alias === key) || null;
+};
+
+module.exports = { DEFAULT_SITE_ALIAS, sites, defaultSite, findSite };
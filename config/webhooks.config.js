@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const config = require('./sharepoint.config');
+
+const callbackSchema = Joi.object({
+  name: Joi.string().required(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  // Lists whose changes are delivered; ['*'] for every subscribed list
+  lists: Joi.array().items(Joi.string()).default(['*']),
+  // Signs deliveries with HMAC-SHA256 (X-Webhook-Signature) when set
+  secret: Joi.string().min(16)
+});
+
+const registrySchema = Joi.object({
+  callbacks: Joi.array().items(callbackSchema).unique('name').required()
+});
+
+/**
+ * Load the outbound callbacks from WEBHOOK_CALLBACKS_FILE (none without it)
+ */
+const loadCallbacks = () => {
+  if (!config.webhooks.callbacksFile) return [];
+
+  const filePath = path.resolve(config.webhooks.callbacksFile);
+  let registry;
+
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ CONFIGURATION ERROR: Could not read webhook callbacks ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { error, value } = registrySchema.validate(registry, { convert: true });
+  if (error) {
+    console.error(`❌ CONFIGURATION ERROR: Invalid webhook callbacks ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  return value.callbacks.map(callback => ({
+    ...callback,
+    lists: callback.lists.map(title => title.toLowerCase())
+  }));
+};
+
+const callbacks = loadCallbacks();
+
+/**
+ * Callbacks that receive changes of a list
+ */
+const callbacksForList = (listTitle) => {
+  const title = String(listTitle).toLowerCase();
+  return callbacks.filter(callback => callback.lists.includes('*') || callback.lists.includes(title));
+};
+
+module.exports = { callbacks, callbacksForList };
@@ -0,0 +1,26 @@
+const sharepointService = require('../services/sharepoint.service');
+const logger = require('../utils/logger');
+
+class CacheController {
+  /**
+   * Clear cached data (all, or one list with ?list=)
+   */
+  async clearCache(req, res, next) {
+    try {
+      const { list } = req.query;
+      const dropped = await sharepointService.clearCache(list);
+
+      logger.info('Cache cleared via API', { list, apiKey: req.apiKeyName });
+
+      res.json({
+        success: true,
+        message: list ? `Cache cleared for '${list}'` : 'All caches cleared',
+        ...(list && { entriesCleared: dropped })
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CacheController();
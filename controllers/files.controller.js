@@ -0,0 +1,206 @@
+const Joi = require('joi');
+const sharepointService = require('../services/sharepoint.service');
+const logger = require('../utils/logger');
+const { findSite } = require('../config/sites.config');
+const { canAccessSite } = require('../config/apiKeys.config');
+const { sendFile } = require('../utils/fileResponse');
+
+// What to do when the target name is taken: fail (409), replace it, or
+// keep both by adding " (1)", " (2)"... to the new file's name
+const conflictPolicy = Joi.string().valid('fail', 'overwrite', 'keepBoth').default('fail');
+
+const transferSchema = Joi.object({
+  path: Joi.string().required(),
+  // Destination folder (server-relative)
+  destination: Joi.string().required(),
+  newName: Joi.string(),
+  conflict: conflictPolicy,
+  // Alias of another registered site; the transfer then runs as a copy job
+  destinationSite: Joi.string()
+});
+
+const renameSchema = Joi.object({
+  path: Joi.string().required(),
+  newName: Joi.string().required(),
+  conflict: conflictPolicy
+});
+
+const versionsSchema = Joi.object({
+  path: Joi.string().required()
+});
+
+const versionSchema = Joi.object({
+  path: Joi.string().required(),
+  versionId: Joi.number().integer().positive().required()
+});
+
+const invalid = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message
+});
+
+/**
+ * Copy or move a file; transfers to another site run as a job (202 + statusUrl)
+ */
+const transferFile = async (operation, req, res, next) => {
+  try {
+    const { error, value } = transferSchema.validate(req.body || {});
+    if (error) return invalid(res, error);
+
+    let destinationSite;
+    if (value.destinationSite) {
+      destinationSite = findSite(value.destinationSite);
+      if (!destinationSite) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown site: ${value.destinationSite}`
+        });
+      }
+      if (!canAccessSite(req.apiKey, destinationSite.alias)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is not allowed to access site '${destinationSite.alias}'`
+        });
+      }
+    }
+
+    const options = { newName: value.newName, conflictPolicy: value.conflict, destinationSite };
+    const result = operation === 'copy'
+      ? await sharepointService.copyFile(value.path, value.destination, options)
+      : await sharepointService.moveFile(value.path, value.destination, options);
+
+    logger.info(`File ${operation} via API`, {
+      from: value.path,
+      destination: value.destination,
+      destinationSite: value.destinationSite,
+      apiKey: req.apiKeyName
+    });
+
+    if (result.jobId) {
+      return res.status(202).json({
+        success: true,
+        message: `File ${operation} job queued`,
+        data: result,
+        statusUrl: `${req.baseUrl}/jobs/${result.jobId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: operation === 'copy' ? 'File copied successfully' : 'File moved successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+class FilesController {
+  /**
+   * Copy a file into a folder
+   */
+  async copyFile(req, res, next) {
+    return transferFile('copy', req, res, next);
+  }
+
+  /**
+   * Move a file into a folder
+   */
+  async moveFile(req, res, next) {
+    return transferFile('move', req, res, next);
+  }
+
+  /**
+   * Rename a file in place
+   */
+  async renameFile(req, res, next) {
+    try {
+      const { error, value } = renameSchema.validate(req.body || {});
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.renameFile(value.path, value.newName, { conflictPolicy: value.conflict });
+
+      res.json({
+        success: true,
+        message: 'File renamed successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Version history of a file (?path=), newest first
+   */
+  async getVersions(req, res, next) {
+    try {
+      const { error, value } = versionsSchema.validate(req.query);
+      if (error) return invalid(res, error);
+
+      const versions = await sharepointService.getFileVersions(value.path);
+
+      res.json({
+        success: true,
+        data: versions,
+        count: versions.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download one version of a file (?path=)
+   */
+  async downloadVersion(req, res, next) {
+    try {
+      const { error, value } = versionSchema.validate({ ...req.query, versionId: req.params.versionId });
+      if (error) return invalid(res, error);
+
+      const file = await sharepointService.downloadFileVersion(value.path, value.versionId);
+      sendFile(res, file, next);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore an earlier version of a file ({ path })
+   */
+  async restoreVersion(req, res, next) {
+    try {
+      const { error, value } = versionSchema.validate({ ...req.body, versionId: req.params.versionId });
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.restoreFileVersion(value.path, value.versionId);
+      logger.info('File version restored via API', { path: value.path, versionId: value.versionId, apiKey: req.apiKeyName });
+
+      res.json({
+        success: true,
+        message: 'Version restored successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Status of a cross-site copy or move job
+   */
+  async getJob(req, res, next) {
+    try {
+      const job = await sharepointService.getCopyJob(req.params.jobId);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FilesController();
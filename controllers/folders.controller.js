@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const sharepointService = require('../services/sharepoint.service');
+const logger = require('../utils/logger');
+
+const createSchema = Joi.object({
+  library: Joi.string().default('Documents'),
+  // Relative to the library root; missing parents are created too
+  path: Joi.string().required()
+});
+
+const renameSchema = Joi.object({
+  path: Joi.string().required(),
+  newName: Joi.string().required()
+});
+
+const moveSchema = Joi.object({
+  path: Joi.string().required(),
+  destination: Joi.string().required()
+});
+
+const deleteSchema = Joi.object({
+  path: Joi.string().required(),
+  permanent: Joi.boolean().default(false)
+});
+
+const invalid = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message
+});
+
+class FoldersController {
+  /**
+   * Create a folder path in a library (mkdir -p)
+   */
+  async createFolder(req, res, next) {
+    try {
+      const { error, value } = createSchema.validate(req.body || {});
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.createFolder(value.library, value.path);
+      logger.info('Folder created via API', { library: value.library, path: value.path, apiKey: req.apiKeyName });
+
+      res.status(result.created.length > 0 ? 201 : 200).json({
+        success: true,
+        message: result.created.length > 0 ? 'Folder created successfully' : 'Folder already exists',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename a folder (server-relative path)
+   */
+  async renameFolder(req, res, next) {
+    try {
+      const { error, value } = renameSchema.validate(req.body || {});
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.renameFolder(value.path, value.newName);
+
+      res.json({
+        success: true,
+        message: 'Folder renamed successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move a folder into another folder (server-relative paths)
+   */
+  async moveFolder(req, res, next) {
+    try {
+      const { error, value } = moveSchema.validate(req.body || {});
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.moveFolder(value.path, value.destination);
+
+      res.json({
+        success: true,
+        message: 'Folder moved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a folder (?path=), to the recycle bin unless ?permanent=true
+   */
+  async deleteFolder(req, res, next) {
+    try {
+      const { error, value } = deleteSchema.validate(req.query);
+      if (error) return invalid(res, error);
+
+      const result = await sharepointService.deleteFolder(value.path, { permanent: value.permanent });
+      logger.info('Folder deleted via API', { path: value.path, permanent: value.permanent, apiKey: req.apiKeyName });
+
+      res.json({
+        success: true,
+        message: value.permanent ? 'Folder deleted permanently' : 'Folder moved to the recycle bin',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FoldersController();
@@ -1,6 +1,75 @@
 const sharepointService = require('../services/sharepoint.service');
+const config = require('../config/sharepoint.config');
 const logger = require('../utils/logger');
 const Joi = require('joi');
+const busboy = require('busboy');
+const { entityValidators, sendConditional } = require('../utils/conditionalGet');
+const { sendFile } = require('../utils/fileResponse');
+
+/**
+ * Optimistic concurrency options for item writes: the client's If-Match
+ * etag, or force=true for last-write-wins
+ */
+const concurrencyOptions = (req) => ({
+  ifMatch: req.get('If-Match'),
+  force: req.query.force === 'true'
+});
+
+// HTTP method each batch operation stands for (checked against the API key)
+const BATCH_OPERATION_METHODS = { create: 'POST', update: 'PUT', delete: 'DELETE' };
+
+const batchSchema = Joi.object({
+  operations: Joi.array().items(Joi.object({
+    op: Joi.string().valid(...Object.keys(BATCH_OPERATION_METHODS)).required(),
+    id: Joi.when('op', {
+      is: 'create',
+      then: Joi.forbidden(),
+      otherwise: Joi.number().integer().positive().required()
+    }),
+    data: Joi.when('op', {
+      is: 'delete',
+      then: Joi.forbidden(),
+      otherwise: Joi.object().min(1).required()
+    }),
+    // The item's etag (as from If-Match); without it the item's current etag is used
+    etag: Joi.when('op', {
+      is: 'create',
+      then: Joi.forbidden(),
+      otherwise: Joi.string()
+    }),
+    // Last-write-wins, as force=true on single-item writes
+    force: Joi.when('op', {
+      is: 'create',
+      then: Joi.forbidden(),
+      otherwise: Joi.boolean().default(false)
+    })
+  })).min(1).max(config.batch.maxRequestOperations).required(),
+  stopOnError: Joi.boolean().default(false)
+});
+
+/**
+ * Paging options shared by list and search endpoints:
+ * ?cursor=<nextCursor> follows a previous page, ?all=true fetches every page
+ * up to the configured ceiling (optionally lowered with ?maxItems=)
+ */
+const pagingOptions = (query) => ({
+  cursor: query.cursor,
+  fetchAll: query.all === 'true',
+  maxItems: query.maxItems ? parseInt(query.maxItems) : undefined
+});
+
+/**
+ * Resolve the first file part of a multipart request as a stream
+ */
+const readMultipartFile = (req) => new Promise((resolve, reject) => {
+  const parser = busboy({ headers: req.headers, limits: { files: 1 } });
+
+  parser.on('file', (fieldName, stream, info) => resolve({ stream, fileName: info.filename }));
+  parser.on('error', reject);
+  parser.on('close', () => resolve(null));
+
+  req.pipe(parser);
+});
 
 class ItemsController {
   /**
@@ -16,13 +85,16 @@ class ItemsController {
         select,
         top: top ? parseInt(top) : undefined,
         skip: skip ? parseInt(skip) : undefined,
-        orderby
+        orderby,
+        ...pagingOptions(req.query)
       });
       
       res.json({
         success: true,
         data: data.d.results,
-        count: data.d.results.length
+        count: data.d.results.length,
+        nextCursor: sharepointService.getNextCursor(listTitle, data),
+        truncated: data.truncated
       });
     } catch (error) {
       next(error);
@@ -36,10 +108,65 @@ class ItemsController {
     try {
       const { listTitle, itemId } = req.params;
       const data = await sharepointService.getItemById(listTitle, parseInt(itemId));
-      
-      res.json({
+
+      sendConditional(req, res, {
         success: true,
         data: data.d
+      }, entityValidators(data.d, 'Modified'));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Version history of an item, newest first (each version shaped like getItemById data)
+   */
+  async getItemVersions(req, res, next) {
+    try {
+      const { listTitle, itemId } = req.params;
+      const versions = await sharepointService.getItemVersions(listTitle, parseInt(itemId));
+
+      res.json({
+        success: true,
+        data: versions,
+        count: versions.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download one version of a library item's file
+   */
+  async downloadItemVersion(req, res, next) {
+    try {
+      const { listTitle, itemId, versionId } = req.params;
+      const file = await sharepointService.downloadItemVersion(listTitle, parseInt(itemId), parseInt(versionId));
+      sendFile(res, file, next);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore an earlier version of an item
+   */
+  async restoreItemVersion(req, res, next) {
+    try {
+      const { listTitle, itemId, versionId } = req.params;
+      const result = await sharepointService.restoreItemVersion(
+        listTitle,
+        parseInt(itemId),
+        parseInt(versionId),
+        concurrencyOptions(req)
+      );
+      logger.info('Item version restored via API', { listTitle, itemId, versionId, apiKey: req.apiKeyName });
+
+      res.json({
+        success: true,
+        message: 'Version restored successfully',
+        data: result
       });
     } catch (error) {
       next(error);
@@ -61,7 +188,16 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.createItem(listTitle, itemData);
+      const { errors, value } = await sharepointService.validateItemData(listTitle, itemData);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Item data is invalid',
+          errors
+        });
+      }
+
+      const data = await sharepointService.createItem(listTitle, value);
       
       res.status(201).json({
         success: true,
@@ -88,7 +224,16 @@ class ItemsController {
         });
       }
 
-      await sharepointService.updateItem(listTitle, parseInt(itemId), itemData);
+      const { errors, value } = await sharepointService.validateItemData(listTitle, itemData, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Item data is invalid',
+          errors
+        });
+      }
+
+      await sharepointService.updateItem(listTitle, parseInt(itemId), value, concurrencyOptions(req));
       
       res.json({
         success: true,
@@ -105,7 +250,7 @@ class ItemsController {
   async deleteItem(req, res, next) {
     try {
       const { listTitle, itemId } = req.params;
-      await sharepointService.deleteItem(listTitle, parseInt(itemId));
+      await sharepointService.deleteItem(listTitle, parseInt(itemId), concurrencyOptions(req));
       
       res.json({
         success: true,
@@ -116,6 +261,53 @@ class ItemsController {
     }
   }
 
+  /**
+   * Bulk create/update/delete through SharePoint $batch
+   */
+  async batchItems(req, res, next) {
+    try {
+      const { listTitle } = req.params;
+      const { error, value } = batchSchema.validate(req.body || {}, { abortEarly: false });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid batch request',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const deniedOperations = [...new Set(value.operations.map(operation => operation.op))]
+        .filter(op => !req.apiKey.methods.includes(BATCH_OPERATION_METHODS[op]));
+
+      if (deniedOperations.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is not allowed to ${deniedOperations.join(', ')} items`
+        });
+      }
+
+      const results = await sharepointService.batchItems(listTitle, value.operations, {
+        stopOnError: value.stopOnError
+      });
+
+      const summary = {
+        total: results.length,
+        succeeded: results.filter(result => result.status && result.status < 400).length,
+        failed: results.filter(result => result.status >= 400).length,
+        skipped: results.filter(result => result.status === null).length
+      };
+
+      res.json({
+        success: summary.succeeded === summary.total,
+        summary,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Smart search endpoint (handles natural language queries)
    */
@@ -132,13 +324,41 @@ class ItemsController {
 
       logger.info('Smart search request', { query, library });
 
-      const data = await sharepointService.smartSearch(query, library);
+      const { intent, results: data, fuzzy } = await sharepointService.smartSearch(query, library, pagingOptions(req.query));
       
       res.json({
         success: true,
         query: query,
+        interpretation: {
+          type: intent.type,
+          criteria: intent.criteria
+        },
+        matchMode: fuzzy ? 'fuzzy' : 'exact',
         data: data.d?.results || data,
-        count: data.d?.results?.length || 0
+        count: data.d?.results?.length || 0,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Effective smart search intent rules; with discover=true the site's users
+   * and the library's folders are included (usable as an intent rules file)
+   */
+  async getIntentRules(req, res, next) {
+    try {
+      const { library = 'Documents', discover } = req.query;
+      const rules = await sharepointService.getIntentRules(library, {
+        discover: discover === undefined ? undefined : discover === 'true'
+      });
+
+      res.json({
+        success: true,
+        library,
+        data: rules
       });
     } catch (error) {
       next(error);
@@ -159,13 +379,15 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.searchFilesByType(type, library);
+      const data = await sharepointService.searchFilesByType(type, library, pagingOptions(req.query));
       
       res.json({
         success: true,
         fileType: type,
         data: data.d.results,
-        count: data.d.results.length
+        count: data.d.results.length,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
       });
     } catch (error) {
       next(error);
@@ -186,13 +408,15 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.searchFilesByAuthor(author, library);
+      const data = await sharepointService.searchFilesByAuthor(author, library, pagingOptions(req.query));
       
       res.json({
         success: true,
         author: author,
         data: data.d.results,
-        count: data.d.results.length
+        count: data.d.results.length,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
       });
     } catch (error) {
       next(error);
@@ -223,12 +447,15 @@ class ItemsController {
   async getRecentFiles(req, res, next) {
     try {
       const { count = 10, library = 'Documents' } = req.query;
-      const data = await sharepointService.getRecentFiles(parseInt(count), library);
+      const data = await sharepointService.getRecentFiles(parseInt(count), library, {
+        cursor: req.query.cursor
+      });
       
       res.json({
         success: true,
         data: data.d.results,
-        count: data.d.results.length
+        count: data.d.results.length,
+        nextCursor: sharepointService.getNextCursor(library, data)
       });
     } catch (error) {
       next(error);
@@ -250,13 +477,89 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.getFilesInFolder(path, library);
+      const data = await sharepointService.getFilesInFolder(path, library, pagingOptions(req.query));
       
       res.json({
         success: true,
         folderPath: path,
         data: data.d.results,
-        count: data.d.results.length
+        count: data.d.results.length,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download file content (streamed)
+   */
+  async downloadFile(req, res, next) {
+    try {
+      const { path } = req.query;
+
+      if (!path) {
+        return res.status(400).json({
+          success: false,
+          error: 'File path parameter is required'
+        });
+      }
+
+      const file = await sharepointService.downloadFile(path);
+      sendFile(res, file, next);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload file content (multipart form or raw request body)
+   */
+  async uploadFile(req, res, next) {
+    try {
+      const { library = 'Documents', folderPath, overwrite } = req.query;
+      let { fileName } = req.query;
+      let content = req;
+
+      if (req.is(['json', 'urlencoded'])) {
+        return res.status(415).json({
+          success: false,
+          error: 'File content must be sent as multipart/form-data or a raw request body'
+        });
+      }
+
+      if (req.is('multipart')) {
+        const part = await readMultipartFile(req);
+
+        if (!part) {
+          return res.status(400).json({
+            success: false,
+            error: 'Multipart request does not contain a file'
+          });
+        }
+
+        content = part.stream;
+        fileName = fileName || part.fileName;
+      }
+
+      if (!fileName) {
+        return res.status(400).json({
+          success: false,
+          error: 'fileName parameter is required'
+        });
+      }
+
+      const data = await sharepointService.uploadFile(fileName, content, {
+        libraryName: library,
+        folderPath,
+        overwrite: overwrite === 'true'
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: data.d
       });
     } catch (error) {
       next(error);
@@ -278,13 +581,15 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.searchMultiCriteria(criteria, library);
+      const data = await sharepointService.searchMultiCriteria(criteria, library, pagingOptions(req.query));
 
       res.json({
         success: true,
         criteria: criteria,
         data: data.d?.results || data,
-        count: data.d?.results?.length || 0
+        count: data.d?.results?.length || 0,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
       });
     } catch (error) {
       next(error);
@@ -293,10 +598,13 @@ class ItemsController {
 
   /**
    * General search items (keyword search)
+   * mode=content searches inside documents (search index) instead of
+   * file names and titles, optionally within ?folderPath=;
+   * mode=fuzzy ranks typo-tolerant name matches by score
    */
   async searchItems(req, res, next) {
     try {
-      const { keyword, library = 'Documents' } = req.query;
+      const { keyword, library = 'Documents', mode = 'name', folderPath } = req.query;
 
       if (!keyword) {
         return res.status(400).json({
@@ -305,13 +613,56 @@ class ItemsController {
         });
       }
 
-      const data = await sharepointService.searchByKeyword(keyword, library);
+      if (!['name', 'content', 'fuzzy'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Mode must be name, content or fuzzy'
+        });
+      }
+
+      if (mode === 'fuzzy') {
+        const data = await sharepointService.fuzzySearchFiles(keyword, library, {
+          limit: req.query.top ? Math.min(parseInt(req.query.top) || 50, 500) : undefined
+        });
+
+        return res.json({
+          success: true,
+          keyword: keyword,
+          mode,
+          data: data.d.results,
+          count: data.d.results.length,
+          truncated: data.truncated
+        });
+      }
+
+      if (mode === 'content') {
+        const data = await sharepointService.searchFileContent(keyword, library, {
+          folderPath,
+          cursor: req.query.cursor,
+          top: req.query.top ? Math.min(parseInt(req.query.top) || 50, 500) : undefined
+        });
+
+        return res.json({
+          success: true,
+          keyword: keyword,
+          mode,
+          data: data.d.results,
+          count: data.d.results.length,
+          totalRows: data.totalRows,
+          nextCursor: data.nextCursor
+        });
+      }
+
+      const data = await sharepointService.searchByKeyword(keyword, library, pagingOptions(req.query));
 
       res.json({
         success: true,
         keyword: keyword,
+        mode,
         data: data.d?.results || data,
-        count: data.d?.results?.length || 0
+        count: data.d?.results?.length || 0,
+        nextCursor: sharepointService.getNextCursor(library, data),
+        truncated: data.truncated
       });
     } catch (error) {
       next(error);
@@ -1,15 +1,18 @@
 const sharepointService = require('../services/sharepoint.service');
 const logger = require('../utils/logger');
+const { canAccessList } = require('../config/apiKeys.config');
+const { listValidators, sendConditional } = require('../utils/conditionalGet');
 
 class ListsController {
   async getAllLists(req, res, next) {
     try {
       const data = await sharepointService.getLists();
+      const lists = data.d.results.filter(list => canAccessList(req.apiKey, list.Title));
       
       res.json({
         success: true,
-        data: data.d.results,
-        count: data.d.results.length
+        data: lists,
+        count: lists.length
       });
     } catch (error) {
       next(error);
@@ -20,10 +23,28 @@ class ListsController {
     try {
       const { listTitle } = req.params;
       const data = await sharepointService.getListByTitle(listTitle);
-      
-      res.json({
+
+      sendConditional(req, res, {
         success: true,
         data: data.d
+      }, listValidators(data.d));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Item changes since a change token (delta sync)
+   */
+  async getChanges(req, res, next) {
+    try {
+      const { listTitle } = req.params;
+      const changes = await sharepointService.getListChanges(listTitle, req.query.token);
+
+      res.json({
+        success: true,
+        data: changes,
+        count: changes.added.length + changes.updated.length + changes.deleted.length
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,89 @@
+const sharepointService = require('../services/sharepoint.service');
+const logger = require('../utils/logger');
+const Joi = require('joi');
+
+// Managed property names, or the friendly names the service maps
+const propertyName = Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/);
+
+const commaList = (value) => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+const searchSchema = Joi.object({
+  q: Joi.string().trim().required(),
+  scope: Joi.string().valid('site', 'tenant').default('site'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(500).default(25),
+  sort: Joi.array().items(Joi.object({
+    property: propertyName.required(),
+    direction: Joi.string().valid('asc', 'desc').default('desc')
+  })).default([]),
+  refiners: Joi.array().items(propertyName).default([]),
+  select: Joi.array().items(propertyName).min(1),
+  queryTemplate: Joi.string(),
+  trimDuplicates: Joi.boolean()
+});
+
+/**
+ * Turn the query string into searchSite options:
+ * sort=modified:desc,rank -> [{ property, direction }], lists split on commas
+ */
+const searchOptions = (query) => ({
+  ...query,
+  sort: query.sort
+    ? commaList(query.sort).map(part => {
+      const [property, direction] = part.split(':');
+      return { property, direction };
+    })
+    : undefined,
+  refiners: query.refiners ? commaList(query.refiners) : undefined,
+  select: query.select ? commaList(query.select) : undefined
+});
+
+class SearchController {
+  /**
+   * Full-text KQL search with paging, sorting and refiners
+   */
+  async search(req, res, next) {
+    try {
+      const { error, value } = searchSchema.validate(searchOptions(req.query), { abortEarly: false });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid search request',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      // Tenant-wide results are not limited to this site's lists, and a query
+      // template replaces the one that holds the site restriction
+      const needsFullAccess = value.scope === 'tenant' ? 'scope=tenant' : value.queryTemplate && 'queryTemplate';
+      if (needsFullAccess && !req.apiKey.fullAccess) {
+        return res.status(403).json({
+          success: false,
+          error: `API key does not have full access (required for ${needsFullAccess})`
+        });
+      }
+
+      const { q, ...options } = value;
+      logger.info('Search request', { query: q, scope: options.scope });
+
+      const results = await sharepointService.searchSite(q, options);
+
+      res.json({
+        success: true,
+        query: q,
+        data: results.rows,
+        count: results.rowCount,
+        totalRows: results.totalRows,
+        page: results.page,
+        pageSize: results.pageSize,
+        hasMore: results.hasMore,
+        refiners: results.refiners
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SearchController();
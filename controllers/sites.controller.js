@@ -0,0 +1,29 @@
+const { sites } = require('../config/sites.config');
+const { canAccessSite } = require('../config/apiKeys.config');
+
+class SitesController {
+  /**
+   * Registered sites the API key may use (no credentials)
+   */
+  async listSites(req, res, next) {
+    try {
+      const data = sites
+        .filter(site => canAccessSite(req.apiKey, site.alias))
+        .map(site => ({
+          alias: site.alias,
+          siteUrl: site.siteUrl,
+          tenantId: site.tenantId
+        }));
+
+      res.json({
+        success: true,
+        data,
+        count: data.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SitesController();
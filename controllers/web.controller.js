@@ -0,0 +1,99 @@
+const sharepointService = require('../services/sharepoint.service');
+const config = require('../config/sharepoint.config');
+const { canAccessList } = require('../config/apiKeys.config');
+
+class WebController {
+  /**
+   * Site metadata
+   */
+  async getWebInfo(req, res, next) {
+    try {
+      const data = await sharepointService.getWebInfo();
+
+      res.json({
+        success: true,
+        data: data.d
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Subsites of the site
+   */
+  async getSubwebs(req, res, next) {
+    try {
+      const data = await sharepointService.getSubwebs();
+
+      res.json({
+        success: true,
+        data: data.d.results,
+        count: data.d.results.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Document libraries the API key may access
+   */
+  async getLibraries(req, res, next) {
+    try {
+      const data = await sharepointService.getDocumentLibraries();
+      const libraries = data.d.results.filter(library => canAccessList(req.apiKey, library.Title));
+
+      res.json({
+        success: true,
+        data: libraries,
+        count: libraries.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Folder tree of a library (?depth=), or folders matching ?search=
+   */
+  async getLibraryFolders(req, res, next) {
+    try {
+      const { libraryTitle } = req.params;
+      const { search, depth } = req.query;
+
+      if (search) {
+        const data = await sharepointService.searchFolders(search, libraryTitle);
+
+        return res.json({
+          success: true,
+          library: libraryTitle,
+          search,
+          data: data.d.results,
+          count: data.d.results.length
+        });
+      }
+
+      const levels = depth === undefined ? config.discovery.folderTreeDepth : Number(depth);
+      if (!Number.isInteger(levels) || levels < 1 || levels > config.discovery.folderTreeMaxDepth) {
+        return res.status(400).json({
+          success: false,
+          error: `Depth must be a whole number from 1 to ${config.discovery.folderTreeMaxDepth}`
+        });
+      }
+
+      const tree = await sharepointService.getFolderTree(libraryTitle, levels);
+
+      res.json({
+        success: true,
+        library: libraryTitle,
+        depth: levels,
+        data: tree
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebController();
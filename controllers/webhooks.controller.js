@@ -0,0 +1,141 @@
+const Joi = require('joi');
+const webhookService = require('../services/webhook.service');
+const logger = require('../utils/logger');
+
+const createSchema = Joi.object({
+  list: Joi.string().required(),
+  expirationDays: Joi.number().integer().min(1).max(180)
+});
+
+const renewSchema = Joi.object({
+  expirationDays: Joi.number().integer().min(1).max(180)
+});
+
+class WebhooksController {
+  /**
+   * List a list's webhook subscriptions (?list=)
+   */
+  async listSubscriptions(req, res, next) {
+    try {
+      const { list } = req.query;
+      if (!list) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query parameter "list" is required'
+        });
+      }
+
+      const subscriptions = await webhookService.listSubscriptions(list);
+
+      res.json({
+        success: true,
+        data: subscriptions,
+        count: subscriptions.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Subscribe to a list's changes
+   */
+  async createSubscription(req, res, next) {
+    try {
+      const { error, value } = createSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const subscription = await webhookService.createSubscription(value.list, value);
+      logger.info('Webhook subscription created via API', { list: value.list, apiKey: req.apiKeyName });
+
+      res.status(201).json({
+        success: true,
+        data: subscription
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renew a subscription before it expires
+   */
+  async renewSubscription(req, res, next) {
+    try {
+      const { error, value } = renewSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const subscription = await webhookService.renewSubscription(req.params.subscriptionId, value);
+
+      res.json({
+        success: true,
+        data: subscription
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a subscription
+   */
+  async deleteSubscription(req, res, next) {
+    try {
+      await webhookService.deleteSubscription(req.params.subscriptionId);
+
+      res.json({
+        success: true,
+        message: 'Subscription deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * SharePoint notification receiver: answers the validation handshake and
+   * queues verified notifications
+   */
+  async receiveNotifications(req, res, next) {
+    try {
+      if (!webhookService.enabled) {
+        return res.status(404).json({
+          success: false,
+          error: 'Endpoint not found'
+        });
+      }
+
+      // Subscription handshake: echo the token back as plain text
+      const { validationtoken } = req.query;
+      if (validationtoken) {
+        return res.type('text/plain').send(String(validationtoken));
+      }
+
+      const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+      const accepted = webhookService.acceptNotifications(notifications);
+
+      if (notifications.length > 0 && accepted === 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid clientState'
+        });
+      }
+
+      res.status(202).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhooksController();
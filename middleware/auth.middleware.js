@@ -1,8 +1,29 @@
 const config = require('../config/sharepoint.config');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+const { findApiKey, canAccessList } = require('../config/apiKeys.config');
+
+/**
+ * Read display claims from a JWT without verifying it (for logging only)
+ */
+const readTokenUser = (token) => {
+  try {
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return claims.preferred_username || claims.upn || claims.oid || 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error
+});
 
 const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+  const headerKey = req.header('X-API-Key');
+  const bearerToken = req.header('Authorization')?.replace('Bearer ', '');
+  const apiKey = headerKey || bearerToken;
 
   if (!apiKey) {
     logger.warn('API request without API key', { ip: req.ip, path: req.path });
@@ -12,15 +33,94 @@ const apiKeyAuth = (req, res, next) => {
     });
   }
 
-  if (apiKey !== config.server.apiKey) {
+  const entry = findApiKey(apiKey);
+
+  if (!entry) {
     logger.warn('Invalid API key attempt', { ip: req.ip, path: req.path });
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid API key'
-    });
+    return forbidden(res, 'Invalid API key');
+  }
+
+  if (entry.expiresAt && entry.expiresAt <= new Date()) {
+    logger.warn('Expired API key used', { apiKey: entry.name, ip: req.ip, path: req.path });
+    return forbidden(res, 'API key has expired');
+  }
+
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  if (!entry.methods.includes(method)) {
+    logger.warn('API key method not allowed', { apiKey: entry.name, method: req.method, path: req.path });
+    return forbidden(res, `API key is not allowed to use ${req.method} requests`);
+  }
+
+  req.apiKey = entry;
+  req.apiKeyName = entry.name;
+
+  const context = getRequestContext();
+  if (context) context.apiKeyName = entry.name;
+
+  // With the API key in X-API-Key, a bearer token is the caller's own
+  // Azure AD token: SharePoint calls then run on behalf of that user
+  if (config.delegatedAuth.enabled && headerKey && bearerToken) {
+    const user = readTokenUser(bearerToken);
+
+    if (context) {
+      context.userAssertion = bearerToken;
+      context.user = user;
+    }
+    req.delegatedUser = user;
+    logger.debug('Delegated request', { user, apiKey: entry.name, path: req.path });
   }
 
   next();
 };
 
-module.exports = { apiKeyAuth };
\ No newline at end of file
+/**
+ * router.param handler: the key must be allowed to access :listTitle
+ */
+const requireListAccess = (req, res, next, listTitle) => {
+  if (!canAccessList(req.apiKey, listTitle)) {
+    logger.warn('API key denied list access', { apiKey: req.apiKeyName, list: listTitle, path: req.path });
+    return forbidden(res, `API key is not allowed to access '${listTitle}'`);
+  }
+  next();
+};
+
+/**
+ * The key must be allowed to access the ?library= the route works on.
+ * A ?folderPath= can point into any library, so it needs an unrestricted key.
+ */
+const requireLibraryAccess = (req, res, next) => {
+  if (req.query.folderPath) {
+    return requireUnrestrictedLists(req, res, next);
+  }
+  requireListAccess(req, res, next, req.query.library || 'Documents');
+};
+
+/**
+ * For routes that address content by path rather than list title
+ */
+const requireUnrestrictedLists = (req, res, next) => {
+  if (req.apiKey.restricted) {
+    logger.warn('List-restricted API key denied path access', { apiKey: req.apiKeyName, path: req.path });
+    return forbidden(res, 'API key is restricted to specific lists and cannot access content by path');
+  }
+  next();
+};
+
+/**
+ * For routes that hand out credentials usable outside this API
+ */
+const requireFullAccess = (req, res, next) => {
+  if (!req.apiKey.fullAccess) {
+    logger.warn('Scoped API key denied full-access route', { apiKey: req.apiKeyName, path: req.path });
+    return forbidden(res, 'API key does not have full access');
+  }
+  next();
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireListAccess,
+  requireLibraryAccess,
+  requireUnrestrictedLists,
+  requireFullAccess
+};
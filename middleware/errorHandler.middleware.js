@@ -6,7 +6,8 @@ const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     path: req.path,
     method: req.method,
-    ip: req.ip
+    ip: req.ip,
+    apiKey: req.apiKeyName
   });
 
   // SharePoint specific errors
@@ -37,6 +38,34 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // SharePoint throttling that outlasted the retry policy
+  if (err.response?.status === 429 || err.response?.status === 503) {
+    const retryAfter = err.response.headers?.['retry-after'];
+    if (retryAfter) res.set('Retry-After', retryAfter);
+
+    return res.status(err.response.status).json({
+      success: false,
+      error: 'SharePoint is throttling requests',
+      message: 'Retry the request later',
+      details: err.response.data
+    });
+  }
+
+  // Optimistic concurrency conflict: hand back the version now on the server
+  if (err.status === 412 && err.current) {
+    if (err.current.__metadata?.etag) res.set('ETag', err.current.__metadata.etag);
+
+    return res.status(412).json({
+      success: false,
+      error: err.message,
+      current: err.current
+    });
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // General error
   res.status(err.status || 500).json({
     success: false,
@@ -0,0 +1,21 @@
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * Run the rest of the request inside a fresh request context and report
+ * SharePoint retries back to the caller in the X-SharePoint-Retries header
+ */
+const bindRequestContext = (req, res, next) => {
+  const context = { retries: 0 };
+
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (context.retries > 0) {
+      this.setHeader('X-SharePoint-Retries', String(context.retries));
+    }
+    return writeHead.apply(this, args);
+  };
+
+  requestContext.run(context, next);
+};
+
+module.exports = { bindRequestContext };
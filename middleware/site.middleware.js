@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+const { DEFAULT_SITE_ALIAS, findSite } = require('../config/sites.config');
+const { canAccessSite } = require('../config/apiKeys.config');
+
+/**
+ * Select the SharePoint site for the rest of the request: :siteAlias under
+ * /api/sites, the default site everywhere else. Runs after apiKeyAuth.
+ */
+const selectSite = (req, res, next) => {
+  const alias = req.params.siteAlias || DEFAULT_SITE_ALIAS;
+  const site = findSite(alias);
+
+  if (!site) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown site: ${alias}`
+    });
+  }
+
+  if (!canAccessSite(req.apiKey, site.alias)) {
+    logger.warn('API key denied site access', { apiKey: req.apiKeyName, site: site.alias, path: req.path });
+    return res.status(403).json({
+      success: false,
+      error: `API key is not allowed to access site '${site.alias}'`
+    });
+  }
+
+  req.site = site;
+  const context = getRequestContext();
+  if (context) context.site = site;
+
+  next();
+};
+
+module.exports = { selectSite };
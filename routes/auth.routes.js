@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
+const { requireFullAccess } = require('../middleware/auth.middleware');
 
-router.get('/token', authController.getToken);
+// The raw SharePoint token bypasses per-key scoping, so only full-access keys get it
+router.get('/token', requireFullAccess, authController.getToken);
 router.get('/validate', authController.validateToken);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const cacheController = require('../controllers/cache.controller');
+const { requireListAccess, requireFullAccess } = require('../middleware/auth.middleware');
+
+// Clearing one list needs access to that list, clearing everything needs a full-access key
+const requireCacheScope = (req, res, next) => req.query.list
+  ? requireListAccess(req, res, next, req.query.list)
+  : requireFullAccess(req, res, next);
+
+router.delete('/', requireCacheScope, cacheController.clearCache);
+
+module.exports = router;
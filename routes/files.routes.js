@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const filesController = require('../controllers/files.controller');
+const { requireUnrestrictedLists } = require('../middleware/auth.middleware');
+
+// Files are addressed by path, which can point into any library
+router.post('/copy', requireUnrestrictedLists, filesController.copyFile);
+router.post('/move', requireUnrestrictedLists, filesController.moveFile);
+router.post('/rename', requireUnrestrictedLists, filesController.renameFile);
+router.get('/jobs/:jobId', requireUnrestrictedLists, filesController.getJob);
+router.get('/versions', requireUnrestrictedLists, filesController.getVersions);
+router.get('/versions/:versionId/content', requireUnrestrictedLists, filesController.downloadVersion);
+router.post('/versions/:versionId/restore', requireUnrestrictedLists, filesController.restoreVersion);
+
+module.exports = router;
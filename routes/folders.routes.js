@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const foldersController = require('../controllers/folders.controller');
+const { requireListAccess, requireUnrestrictedLists } = require('../middleware/auth.middleware');
+
+// Creating needs access to the target library; the other operations address
+// folders by path, which can point into any library
+const requireTargetLibrary = (req, res, next) =>
+  requireListAccess(req, res, next, req.body?.library || 'Documents');
+
+router.post('/', requireTargetLibrary, foldersController.createFolder);
+router.post('/rename', requireUnrestrictedLists, foldersController.renameFolder);
+router.post('/move', requireUnrestrictedLists, foldersController.moveFolder);
+router.delete('/', requireUnrestrictedLists, foldersController.deleteFolder);
+
+module.exports = router;
@@ -1,22 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const itemsController = require('../controllers/items.controller');
+const {
+  requireListAccess,
+  requireLibraryAccess,
+  requireUnrestrictedLists,
+  requireFullAccess
+} = require('../middleware/auth.middleware');
+
+router.param('listTitle', requireListAccess);
 
 // Smart search (natural language) - MUST be before /:listTitle routes
-router.get('/smart-search', itemsController.smartSearch);
+router.get('/smart-search', requireLibraryAccess, itemsController.smartSearch);
+// Rules include the site's user names
+router.get('/smart-search/rules', requireFullAccess, itemsController.getIntentRules);
 
 // Specific search endpoints
-router.get('/search/type', itemsController.searchByType);
-router.get('/search/author', itemsController.searchByAuthor);
-router.post('/search/advanced', itemsController.advancedSearch);
-router.get('/search', itemsController.searchItems); 
+router.get('/search/type', requireLibraryAccess, itemsController.searchByType);
+router.get('/search/author', requireLibraryAccess, itemsController.searchByAuthor);
+router.post('/search/advanced', requireLibraryAccess, itemsController.advancedSearch);
+router.get('/search', requireLibraryAccess, itemsController.searchItems); 
 
 // Analytics endpoints
-router.get('/recent', itemsController.getRecentFiles);
-router.get('/statistics', itemsController.getStatistics);
+router.get('/recent', requireLibraryAccess, itemsController.getRecentFiles);
+router.get('/statistics', requireLibraryAccess, itemsController.getStatistics);
 
 // Folder operations
-router.get('/folder/:path(*)', itemsController.getFolderContents);
+router.get('/folder/:path(*)', requireLibraryAccess, itemsController.getFolderContents);
+
+// File content
+router.get('/files/content', requireUnrestrictedLists, itemsController.downloadFile);
+router.post('/files/content', requireLibraryAccess, itemsController.uploadFile);
 
 // Basic CRUD routes (parameterized routes must come LAST)
 router.get('/:listTitle/items', itemsController.getItems);
@@ -24,6 +38,10 @@ router.get('/:listTitle/items/:itemId', itemsController.getItemById);
 router.post('/:listTitle/items', itemsController.createItem);
 router.put('/:listTitle/items/:itemId', itemsController.updateItem);
 router.delete('/:listTitle/items/:itemId', itemsController.deleteItem);
+router.get('/:listTitle/items/:itemId/versions', itemsController.getItemVersions);
+router.get('/:listTitle/items/:itemId/versions/:versionId/content', itemsController.downloadItemVersion);
+router.post('/:listTitle/items/:itemId/versions/:versionId/restore', itemsController.restoreItemVersion);
+router.post('/:listTitle/batch', itemsController.batchItems);
 
 
 
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const listsController = require('../controllers/lists.controller');
+const { requireListAccess } = require('../middleware/auth.middleware');
+
+router.param('listTitle', requireListAccess);
 
 router.get('/', listsController.getAllLists);
 router.get('/:listTitle', listsController.getListByTitle);
+router.get('/:listTitle/changes', listsController.getChanges);
 
 module.exports = router;
\ No newline at end of file
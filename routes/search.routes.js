@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search.controller');
+const { requireUnrestrictedLists } = require('../middleware/auth.middleware');
+
+// Results can come from any list or library in the site
+router.get('/', requireUnrestrictedLists, searchController.search);
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const sitesController = require('../controllers/sites.controller');
+
+router.get('/', sitesController.listSites);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const webController = require('../controllers/web.controller');
+const { requireListAccess } = require('../middleware/auth.middleware');
+
+router.param('libraryTitle', requireListAccess);
+
+router.get('/', webController.getWebInfo);
+router.get('/webs', webController.getSubwebs);
+router.get('/libraries', webController.getLibraries);
+router.get('/libraries/:libraryTitle/folders', webController.getLibraryFolders);
+
+module.exports = router;
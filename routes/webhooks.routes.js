@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooks.controller');
+const { apiKeyAuth, requireFullAccess } = require('../middleware/auth.middleware');
+
+// Called by SharePoint, which cannot send an API key; verified by clientState
+router.post('/notifications', webhooksController.receiveNotifications);
+
+// Subscriptions deliver list data to every configured callback
+router.use(apiKeyAuth, requireFullAccess);
+
+router.get('/subscriptions', webhooksController.listSubscriptions);
+router.post('/subscriptions', webhooksController.createSubscription);
+router.post('/subscriptions/:subscriptionId/renew', webhooksController.renewSubscription);
+router.delete('/subscriptions/:subscriptionId', webhooksController.deleteSubscription);
+
+module.exports = router;
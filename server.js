@@ -6,11 +6,23 @@ const config = require('./config/sharepoint.config');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler.middleware');
 const { apiKeyAuth } = require('./middleware/auth.middleware');
+const { bindRequestContext } = require('./middleware/requestContext.middleware');
+const { selectSite } = require('./middleware/site.middleware');
+const { sites } = require('./config/sites.config');
+const CacheService = require('./services/cache.service');
 
 // Routes
 const authRoutes = require('./routes/auth.routes');
 const listsRoutes = require('./routes/lists.routes');
 const itemsRoutes = require('./routes/items.routes');
+const cacheRoutes = require('./routes/cache.routes');
+const webhooksRoutes = require('./routes/webhooks.routes');
+const searchRoutes = require('./routes/search.routes');
+const sitesRoutes = require('./routes/sites.routes');
+const webRoutes = require('./routes/web.routes');
+const foldersRoutes = require('./routes/folders.routes');
+const filesRoutes = require('./routes/files.routes');
+const webhookService = require('./services/webhook.service');
 
 const app = express();
 
@@ -20,13 +32,19 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`SharePoint API Service running on port ${PORT}`);
   logger.info(`Environment: ${config.server.env}`);
   logger.info(`SharePoint Site: ${config.sharepoint.siteUrl}`);
+  if (sites.length > 1) {
+    logger.info(`Registered sites: ${sites.map(site => site.alias).join(', ')}`);
+  }
+
+  // Keep webhook subscriptions from expiring
+  webhookService.startRenewalScheduler();
 });
 
 
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-SharePoint-Retries', 'Retry-After', 'ETag', 'Last-Modified'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -40,6 +58,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Per-request context (SharePoint retry reporting)
+app.use(bindRequestContext);
+
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
@@ -71,7 +92,8 @@ app.get('/', (req, res) => {
       },
       lists: {
         getAllLists: 'GET /api/lists',
-        getListByTitle: 'GET /api/lists/:listTitle'
+        getListByTitle: 'GET /api/lists/:listTitle',
+        getChanges: 'GET /api/lists/:listTitle/changes?token=... (omit token for the current token)'
       },
       items: {
         getItems: 'GET /api/items/:listTitle/items',
@@ -79,17 +101,89 @@ app.get('/', (req, res) => {
         createItem: 'POST /api/items/:listTitle/items',
         updateItem: 'PUT /api/items/:listTitle/items/:itemId',
         deleteItem: 'DELETE /api/items/:listTitle/items/:itemId',
-        search: 'GET /api/items/search?query=...'
+        itemVersions: 'GET /api/items/:listTitle/items/:itemId/versions',
+        itemVersionContent: 'GET /api/items/:listTitle/items/:itemId/versions/:versionId/content (library items)',
+        restoreItemVersion: 'POST /api/items/:listTitle/items/:itemId/versions/:versionId/restore (If-Match or force=true for list items, as for updates)',
+        batch: 'POST /api/items/:listTitle/batch { operations: [{ op, id, data, etag, force }], stopOnError } (without etag or force, updates and deletes match the current etag)',
+        search: 'GET /api/items/search?keyword=...&library=... (mode=content searches inside documents, optionally within folderPath=...; mode=fuzzy ranks typo-tolerant name matches)',
+        smartSearch: 'GET /api/items/smart-search?query=...&library=...',
+        intentRules: 'GET /api/items/smart-search/rules?library=...&discover=true'
+      },
+      search: {
+        query: 'GET /api/search?q=<KQL>&scope=site|tenant&page=1&pageSize=25&sort=modified:desc&refiners=fileType,author,modified&select=...&queryTemplate=... (scope=tenant and queryTemplate need a full-access key)'
+      },
+      cache: {
+        clear: 'DELETE /api/cache?list=...'
+      },
+      folders: {
+        create: 'POST /api/folders { library, path } (creates missing parents)',
+        rename: 'POST /api/folders/rename { path, newName }',
+        move: 'POST /api/folders/move { path, destination }',
+        delete: 'DELETE /api/folders?path=...&permanent=true (recycle bin by default)'
+      },
+      files: {
+        download: 'GET /api/items/files/content?path=...',
+        upload: 'POST /api/items/files/content?fileName=...&library=...&folderPath=...&overwrite=true',
+        copy: 'POST /api/files/copy { path, destination, newName?, conflict: fail|overwrite|keepBoth, destinationSite? }',
+        move: 'POST /api/files/move { path, destination, newName?, conflict: fail|overwrite|keepBoth, destinationSite? }',
+        rename: 'POST /api/files/rename { path, newName, conflict? }',
+        job: 'GET /api/files/jobs/:jobId (status of a copy or move to another site)',
+        versions: 'GET /api/files/versions?path=...',
+        versionContent: 'GET /api/files/versions/:versionId/content?path=...',
+        restoreVersion: 'POST /api/files/versions/:versionId/restore { path }'
+      },
+      web: {
+        info: 'GET /api/web',
+        subsites: 'GET /api/web/webs',
+        libraries: 'GET /api/web/libraries',
+        folderTree: 'GET /api/web/libraries/:libraryTitle/folders?depth=2 (or ?search=... to find folders by name)'
+      },
+      sites: {
+        list: 'GET /api/sites',
+        siteRoutes: 'Every route above also runs against a registered site under /api/sites/:siteAlias, e.g. GET /api/sites/marketing/lists'
+      },
+      webhooks: {
+        listSubscriptions: 'GET /api/webhooks/subscriptions?list=...',
+        createSubscription: 'POST /api/webhooks/subscriptions',
+        renewSubscription: 'POST /api/webhooks/subscriptions/:subscriptionId/renew',
+        deleteSubscription: 'DELETE /api/webhooks/subscriptions/:subscriptionId',
+        receiver: 'POST /api/webhooks/notifications (called by SharePoint, no API key)'
       }
     },
-    authentication: 'Include X-API-Key header in all requests (except /health and /)'
+    concurrency: 'PUT and DELETE /api/items/:listTitle/items/:itemId honour If-Match with the item ETag (412 with the current version on conflict); without it the item\'s current version is used, and ?force=true overwrites regardless',
+    conditionalRequests: 'GET /api/lists/:listTitle and GET /api/items/:listTitle/items/:itemId send ETag and Last-Modified; send If-None-Match or If-Modified-Since to get 304 Not Modified',
+    paging: 'List and search endpoints return nextCursor; pass it back as ?cursor=... for the next page, or use ?all=true to fetch every page',
+    authentication: 'Include X-API-Key header in all requests (except /health, / and the webhook receiver)',
+    delegatedAccess: 'When enabled, also send "Authorization: Bearer <Azure AD user token>" to run as that user'
   });
 });
 
-// Protected routes (require API key)
-app.use('/api/auth', apiKeyAuth, authRoutes);
-app.use('/api/lists', apiKeyAuth, listsRoutes);
-app.use('/api/items', apiKeyAuth, itemsRoutes);
+// Protected routes (require API key), against the default site
+app.use('/api/auth', apiKeyAuth, selectSite, authRoutes);
+app.use('/api/lists', apiKeyAuth, selectSite, listsRoutes);
+app.use('/api/items', apiKeyAuth, selectSite, itemsRoutes);
+app.use('/api/cache', apiKeyAuth, selectSite, cacheRoutes);
+app.use('/api/search', apiKeyAuth, selectSite, searchRoutes);
+app.use('/api/web', apiKeyAuth, selectSite, webRoutes);
+app.use('/api/folders', apiKeyAuth, selectSite, foldersRoutes);
+app.use('/api/files', apiKeyAuth, selectSite, filesRoutes);
+// Authenticates inside: the notification receiver is public
+app.use('/api/webhooks', webhooksRoutes);
+
+// The same routes against a registered site: /api/sites/:siteAlias/...
+const siteRoutes = express.Router({ mergeParams: true });
+siteRoutes.use('/auth', authRoutes);
+siteRoutes.use('/lists', listsRoutes);
+siteRoutes.use('/items', itemsRoutes);
+siteRoutes.use('/cache', cacheRoutes);
+siteRoutes.use('/search', searchRoutes);
+siteRoutes.use('/web', webRoutes);
+siteRoutes.use('/folders', foldersRoutes);
+siteRoutes.use('/files', filesRoutes);
+siteRoutes.use('/webhooks', webhooksRoutes);
+
+app.use('/api/sites/:siteAlias', apiKeyAuth, selectSite, siteRoutes);
+app.use('/api/sites', apiKeyAuth, sitesRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -107,8 +201,9 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await CacheService.disconnect();
   });
 });
 
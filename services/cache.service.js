@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const config = require('../config/sharepoint.config');
+const logger = require('../utils/logger');
+const TaggedCache = require('../utils/taggedCache');
+const RedisCache = require('../utils/redisCache');
+
+// Identifies this process in invalidation messages so it ignores its own
+const instanceId = crypto.randomUUID();
+const invalidationChannel = `${config.cache.keyPrefix}:invalidations`;
+
+// Caches that receive invalidations from other instances, by name
+const registry = new Map();
+
+let redis = null;
+let subscriber = null;
+
+/**
+ * Shared Redis connection, created on first use
+ */
+const getRedis = () => {
+  if (redis) return redis;
+
+  // Only required when a Redis URL is configured
+  const Redis = require('ioredis');
+  redis = new Redis(config.cache.redisUrl, { maxRetriesPerRequest: 1 });
+  redis.on('error', error => logger.error('Redis cache connection error', { error: error.message }));
+  return redis;
+};
+
+/**
+ * Listen for invalidations published by other instances (once per process)
+ */
+const subscribeToInvalidations = () => {
+  if (subscriber) return;
+
+  subscriber = getRedis().duplicate();
+  subscriber.on('error', error => logger.error('Redis subscriber connection error', { error: error.message }));
+  subscriber.on('message', (channel, message) => applyInvalidation(message));
+  subscriber.subscribe(invalidationChannel).catch(error => {
+    logger.error('Failed to subscribe to cache invalidations', { error: error.message });
+  });
+};
+
+/**
+ * Apply an invalidation published by another instance to the local store
+ */
+const applyInvalidation = async (message) => {
+  try {
+    const { origin, cache: name, op, key, tags } = JSON.parse(message);
+    const cache = registry.get(name);
+    if (origin === instanceId || !cache) return;
+
+    cache.dropInFlight(op, { key, tags });
+    if (op === 'del') await cache.store.del(key);
+    if (op === 'tags') await cache.store.invalidateTags(tags);
+    if (op === 'flush') await cache.store.flush();
+
+    logger.debug('Applied remote cache invalidation', { cache: name, op });
+  } catch (error) {
+    logger.warn('Ignoring malformed cache invalidation message', { error: error.message });
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Named cache on the configured backend.
+ * - memory: per-instance NodeCache; with REDIS_URL set, invalidations are
+ *   broadcast so other replicas drop the same entries
+ * - redis: one store shared by every replica
+ * Caches created with `shared: true` hold state rather than copies of
+ * SharePoint data, and live in Redis whenever REDIS_URL is set.
+ * getOrLoad() lets concurrent misses for the same key share one load,
+ * within the process and (on Redis) across instances through a lock.
+ */
+class CacheService {
+  constructor(name, { stdTTL, shared = false }) {
+    this.name = name;
+    this.inFlight = new Map();
+    this.updating = new Map();
+
+    const useRedis = config.cache.backend === 'redis' || (shared && Boolean(config.cache.redisUrl));
+    this.store = useRedis
+      ? new RedisCache(getRedis(), { namespace: `${config.cache.keyPrefix}:${name}`, stdTTL })
+      : new TaggedCache({ stdTTL });
+    this.broadcast = !useRedis && Boolean(config.cache.redisUrl);
+
+    if (this.broadcast) {
+      subscribeToInvalidations();
+      registry.set(name, this);
+    }
+  }
+
+  /**
+   * The shared Redis connection, for state kept beside the cache
+   */
+  static redis() {
+    return getRedis();
+  }
+
+  /**
+   * Close the shared Redis connections (graceful shutdown)
+   */
+  static async disconnect() {
+    const clients = [subscriber, redis].filter(Boolean);
+    subscriber = null;
+    redis = null;
+    await Promise.all(clients.map(client => client.quit().catch(() => client.disconnect())));
+  }
+
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      logger.warn('Cache read failed, treating as miss', { cache: this.name, error: error.message });
+      return undefined;
+    }
+  }
+
+  async set(key, value, options = {}) {
+    try {
+      await this.store.set(key, value, options);
+    } catch (error) {
+      logger.warn('Cache write failed', { cache: this.name, error: error.message });
+    }
+  }
+
+  async del(key) {
+    this.dropInFlight('del', { key });
+    await this.invalidate(() => this.store.del(key));
+    await this.publish({ op: 'del', key });
+  }
+
+  /**
+   * Drop every entry carrying any of the tags, here and on other instances
+   */
+  async invalidateTags(tags) {
+    this.dropInFlight('tags', { tags });
+    const dropped = await this.invalidate(() => this.store.invalidateTags(tags));
+    await this.publish({ op: 'tags', tags });
+    return dropped || 0;
+  }
+
+  async flush() {
+    this.dropInFlight('flush');
+    await this.invalidate(() => this.store.flush());
+    await this.publish({ op: 'flush' });
+  }
+
+  /**
+   * Forget in-flight loads an invalidation covers, so later reads start a
+   * fresh load instead of joining one that may return data from before it
+   */
+  dropInFlight(op, { key, tags = [] } = {}) {
+    for (const [loadingKey, loading] of this.inFlight) {
+      const covered = op === 'flush' ||
+        (op === 'del' && loadingKey === key) ||
+        (op === 'tags' && tags.some(tag => loading.tags.includes(tag)));
+      if (covered) this.inFlight.delete(loadingKey);
+    }
+  }
+
+  /**
+   * The store's invalidation marker for the tags (null when unreachable)
+   */
+  async generation(tags) {
+    try {
+      return await this.store.generation(tags);
+    } catch (error) {
+      logger.warn('Cache generation read failed', { cache: this.name, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Run a store invalidation; an unreachable store holds nothing servable,
+   * so the failure is logged rather than failing the write that triggered it
+   */
+  async invalidate(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      logger.error('Cache invalidation failed', { cache: this.name, error: error.message });
+      return undefined;
+    }
+  }
+
+  async publish(message) {
+    if (!this.broadcast) return;
+
+    try {
+      await getRedis().publish(
+        invalidationChannel,
+        JSON.stringify({ origin: instanceId, cache: this.name, ...message })
+      );
+    } catch (error) {
+      logger.error('Failed to publish cache invalidation', { cache: this.name, error: error.message });
+    }
+  }
+
+  /**
+   * Return the cached value or load, cache and return it.
+   * `ttl` may be a function of the loaded value (e.g. token expiry).
+   * With `isFresh`, a cached value failing the check is handed to the loader
+   * (loader(stale)) so it can be revalidated instead of fetched again.
+   */
+  async getOrLoad(key, loader, { tags, ttl, isFresh = () => true } = {}) {
+    const cached = await this.get(key);
+    if (cached !== undefined && isFresh(cached)) return cached;
+
+    if (!this.inFlight.has(key)) {
+      const loading = {
+        tags: tags || [],
+        promise: this.load(key, () => loader(cached), { tags, ttl, isFresh })
+          .finally(() => {
+            if (this.inFlight.get(key) === loading) this.inFlight.delete(key);
+          })
+      };
+      this.inFlight.set(key, loading);
+    }
+    return await this.inFlight.get(key).promise;
+  }
+
+  async load(key, loader, { tags = [], ttl, isFresh }) {
+    let release = null;
+    // Taken before anything is read, so an invalidation during the load shows
+    const generation = await this.generation(tags);
+
+    if (this.store.lock) {
+      try {
+        release = await this.store.lock(key, config.cache.lockTimeoutMs);
+
+        // Another instance is loading the same key: wait for its result
+        if (!release) {
+          const value = await this.waitForValue(key, isFresh);
+          if (value !== undefined) return value;
+        }
+      } catch (error) {
+        logger.warn('Cache lock failed, loading without it', { cache: this.name, error: error.message });
+      }
+    }
+
+    try {
+      const value = await loader();
+
+      // Invalidated while loading: the value may predate the write, so it is
+      // returned to this caller but not cached
+      if (await this.generation(tags) !== generation) {
+        logger.debug('Not caching a load overlapped by an invalidation', { cache: this.name, key });
+        return value;
+      }
+
+      await this.set(key, value, {
+        tags,
+        ttl: typeof ttl === 'function' ? ttl(value) : ttl
+      });
+      return value;
+    } finally {
+      if (release) await release().catch(() => {});
+    }
+  }
+
+  /**
+   * Run work() alone for `key`, for read-modify-write of state in a shared
+   * cache: calls queue up within the process and (on Redis) take the store's
+   * lock across instances, waiting up to timeoutMs for it.
+   */
+  async withLock(key, work, { timeoutMs = config.cache.lockTimeoutMs } = {}) {
+    const previous = this.updating.get(key) || Promise.resolve();
+    const running = previous.then(() => this.runLocked(key, work, timeoutMs));
+    const settled = running.catch(() => {});
+    this.updating.set(key, settled);
+
+    try {
+      return await running;
+    } finally {
+      if (this.updating.get(key) === settled) this.updating.delete(key);
+    }
+  }
+
+  async runLocked(key, work, timeoutMs) {
+    if (!this.store.lock) return await work();
+
+    const lockKey = `update:${key}`;
+    const deadline = Date.now() + timeoutMs;
+    let release = await this.store.lock(lockKey, timeoutMs);
+
+    while (!release && Date.now() < deadline) {
+      await sleep(50);
+      release = await this.store.lock(lockKey, timeoutMs);
+    }
+
+    if (!release) {
+      const error = new Error(`${this.name} entry ${key} is busy on another instance`);
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      return await work();
+    } finally {
+      await release().catch(() => {});
+    }
+  }
+
+  async waitForValue(key, isFresh) {
+    const deadline = Date.now() + config.cache.lockTimeoutMs;
+
+    while (Date.now() < deadline) {
+      await sleep(50);
+      const value = await this.get(key);
+      if (value !== undefined && isFresh(value)) return value;
+    }
+    return undefined;
+  }
+}
+
+module.exports = CacheService;
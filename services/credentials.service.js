@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Client assertions only need to outlive the token request itself
+const ASSERTION_LIFETIME_SECONDS = 600;
+
+/**
+ * Base credential provider: requests app-only and on-behalf-of tokens from
+ * the configured token endpoint. Subclasses supply the client authentication parameters.
+ */
+class CredentialProvider {
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Client authentication parameters for the token request
+   */
+  getClientCredentials() {
+    throw new Error('getClientCredentials() must be implemented by the credential provider');
+  }
+
+  /**
+   * v1 endpoints take a `resource`, v2 endpoints take a `scope`
+   */
+  getTargetParams() {
+    const { tokenVersion, resource, scope } = this.options;
+    return tokenVersion === 'v2' ? { scope } : { resource };
+  }
+
+  /**
+   * Post a grant to the token endpoint
+   * Returns { accessToken, expiresIn } with expiresIn in seconds
+   */
+  async requestToken(grantParams) {
+    const { tokenEndpoint, clientId } = this.options;
+
+    const response = await axios.post(
+      tokenEndpoint,
+      new URLSearchParams({
+        client_id: clientId,
+        ...this.getClientCredentials(),
+        ...this.getTargetParams(),
+        ...grantParams
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      expiresIn: parseInt(response.data.expires_in) || null
+    };
+  }
+
+  /**
+   * App-only token (client credentials grant)
+   */
+  async getAppToken() {
+    return await this.requestToken({ grant_type: 'client_credentials' });
+  }
+
+  /**
+   * Delegated token for the user who owns `userAssertion` (on-behalf-of grant)
+   */
+  async getOnBehalfOfToken(userAssertion) {
+    return await this.requestToken({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: userAssertion,
+      requested_token_use: 'on_behalf_of'
+    });
+  }
+}
+
+/**
+ * Client secret credentials
+ */
+class ClientSecretCredential extends CredentialProvider {
+  getClientCredentials() {
+    return { client_secret: this.options.clientSecret };
+  }
+}
+
+/**
+ * Certificate credentials: every token request carries a JWT client assertion
+ * signed with the app's private key and identified by the certificate thumbprint
+ */
+class CertificateCredential extends CredentialProvider {
+  constructor(options) {
+    super(options);
+
+    this.privateKey = crypto.createPrivateKey({
+      key: fs.readFileSync(options.privateKeyPath),
+      passphrase: options.privateKeyPassphrase
+    });
+    this.thumbprint = options.certificateThumbprint
+      ? Buffer.from(options.certificateThumbprint.replace(/[^0-9a-f]/gi, ''), 'hex').toString('base64url')
+      : certificateThumbprint(fs.readFileSync(options.certificatePath));
+
+    logger.info('Loaded SharePoint certificate credentials', { thumbprint: this.thumbprint });
+  }
+
+  getClientCredentials() {
+    return {
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: createClientAssertion({
+        clientId: this.options.clientId,
+        audience: this.options.tokenEndpoint,
+        thumbprint: this.thumbprint,
+        privateKey: this.privateKey
+      })
+    };
+  }
+}
+
+/**
+ * SHA-1 thumbprint of a PEM certificate, base64url encoded (JWT x5t header)
+ */
+const certificateThumbprint = (certificatePem) => {
+  const certificate = new crypto.X509Certificate(certificatePem);
+  return Buffer.from(certificate.fingerprint.replace(/:/g, ''), 'hex').toString('base64url');
+};
+
+/**
+ * Build an RS256 signed client assertion JWT
+ */
+const createClientAssertion = ({ clientId, audience, thumbprint, privateKey, now = Date.now() }) => {
+  const issuedAt = Math.floor(now / 1000);
+
+  const header = { alg: 'RS256', typ: 'JWT', x5t: thumbprint };
+  const payload = {
+    aud: audience,
+    iss: clientId,
+    sub: clientId,
+    jti: crypto.randomUUID(),
+    iat: issuedAt,
+    nbf: issuedAt,
+    exp: issuedAt + ASSERTION_LIFETIME_SECONDS
+  };
+
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+
+  return `${signingInput}.${signature}`;
+};
+
+/**
+ * Create the credential provider selected in config (sharepoint.credentialType)
+ */
+const createCredentialProvider = (sharepointConfig) => {
+  switch (sharepointConfig.credentialType) {
+    case 'certificate':
+      return new CertificateCredential(sharepointConfig);
+    case 'secret':
+      return new ClientSecretCredential(sharepointConfig);
+    default:
+      throw new Error(`Unknown SharePoint credential type: ${sharepointConfig.credentialType}`);
+  }
+};
+
+module.exports = {
+  CredentialProvider,
+  ClientSecretCredential,
+  CertificateCredential,
+  certificateThumbprint,
+  createClientAssertion,
+  createCredentialProvider
+};
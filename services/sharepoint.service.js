@@ -1,48 +1,344 @@
+const crypto = require('crypto');
 const axios = require('axios');
-const NodeCache = require('node-cache');
 const config = require('../config/sharepoint.config');
 const logger = require('../utils/logger');
+const CacheService = require('./cache.service');
+const { readChunks } = require('../utils/streamChunks');
+const odata = require('../utils/odataQuery');
+const retryPolicy = require('../utils/retryPolicy');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { requestContext, getRequestContext } = require('../utils/requestContext');
+const { defaultSite, findSite } = require('../config/sites.config');
+const { createCredentialProvider } = require('./credentials.service');
+const { validateListItem } = require('../utils/listItemValidator');
+const { buildBatchBody, parseBatchResponse } = require('../utils/odataBatch');
+const { mergeIntentRules, createIntentParser } = require('../utils/intentParser');
+const { intentRules } = require('../config/intentRules.config');
+const { shapeSearchResults, toFileItem } = require('../utils/searchResults');
+const { buildNameIndex, rankMatches } = require('../utils/fuzzyMatch');
+const { versionValues, restorePayload, shapeItemVersions, shapeFileVersions } = require('../utils/versionHistory');
 
 // Token cache (TTL: 58 minutes - tokens expire in 60 mins)
-const tokenCache = new NodeCache({ stdTTL: config.cache.tokenTTL });
+const tokenCache = new CacheService('tokens', { stdTTL: config.cache.tokenTTL });
+
+// Data cache for frequently accessed data, invalidated by tag on writes
+const dataCache = new CacheService('data', { stdTTL: config.cache.dataTTL });
+
+// Cross-site copy and move jobs, by `${site alias}:${job id}`; in Redis when
+// configured, so any instance can report a job and it outlives restarts
+const copyJobs = new CacheService('copyJobs', { stdTTL: config.files.copyJobTTL, shared: true });
+
+// Every cached entry carries its site's tag; file listings also carry the files
+// tag so writes addressed by folder path (list unknown) can still drop them
+const siteTag = (site) => `site:${site.siteUrl}`;
+const filesTag = (site) => `files:${site.siteUrl}`;
+
+// Default file metadata for document library reads
+const FILE_EXPAND = 'File,Folder,Author,Editor';
+const FILE_SELECT = 'Id,Title,FileLeafRef,FileRef,FileDirRef,File/Name,File/ServerRelativeUrl,File/TimeLastModified,File/Length,Author/Title,Editor/Title,Modified,Created';
+
+// Site and subsite metadata returned by discovery
+const WEB_SELECT = 'Id,Title,Description,Url,ServerRelativeUrl,WebTemplate,Language,Created,LastItemModifiedDate';
+const LIBRARY_SELECT = 'Id,Title,Description,ItemCount,Hidden,Created,LastItemModifiedDate,RootFolder/ServerRelativeUrl';
+
+// List template of document libraries
+const DOCUMENT_LIBRARY_TEMPLATE = 101;
+
+// SP.ChangeType values reported by GetChanges
+const CHANGE_TYPES = { add: 1, update: 2, deleteObject: 3, rename: 4, restore: 7 };
+
+// Changes returned per delta request; a full page means more are waiting
+const CHANGE_FETCH_LIMIT = 1000;
+
+// Items fetched per request when resolving changed item ids
+const CHANGED_ITEMS_CHUNK = 50;
+
+// Intent parsers for each site's configured rules alone (no discovered aliases), by alias
+const staticIntentParsers = new Map();
+
+// Friendly names for search managed properties (sort, refiners)
+const SEARCH_PROPERTIES = {
+  fileType: 'FileType',
+  author: 'DisplayAuthor',
+  editor: 'ModifiedBy',
+  modified: 'LastModifiedTime',
+  created: 'Created',
+  size: 'Size',
+  rank: 'Rank'
+};
+
+// Date properties are refined into buckets: older, past year, month, week, day
+const DATE_SEARCH_PROPERTIES = ['LastModifiedTime', 'Created'];
+
+// Properties returned for each search row unless the caller picks its own
+const DEFAULT_SEARCH_SELECT = [
+  'Title', 'Path', 'FileType', 'FileExtension', 'Author', 'DisplayAuthor', 'ModifiedBy',
+  'LastModifiedTime', 'Created', 'Size', 'SiteName', 'SPWebUrl', 'ListItemID', 'UniqueId',
+  'HitHighlightedSummary'
+];
+
+/**
+ * Text to fuzzy-match when a name search intent finds nothing, or null for
+ * intents that filter on more than names (author, dates, ...)
+ */
+const fuzzyFallbackText = (intent) => {
+  switch (intent.type) {
+    case 'file_by_name':
+      return intent.term;
+    case 'keyword_search':
+      return intent.keyword;
+    case 'multi_criteria': {
+      const { keywords, fileName, count, ...others } = intent.criteria;
+      return Object.keys(others).length === 0 ? [fileName, ...(keywords || [])].filter(Boolean).join(' ') || null : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Properties needed to shape content search rows like getAllFiles items
+const CONTENT_SEARCH_SELECT = [
+  'ListItemID', 'Title', 'Path', 'Filename', 'Size', 'LastModifiedTime', 'Created',
+  'CreatedBy', 'Author', 'ModifiedBy', 'HitHighlightedSummary'
+];
+
+// Secret or certificate credentials per site, chosen by its credentialType.
+// The default site's are created up front so bad credentials fail at startup.
+const credentialProviders = new Map([[defaultSite.alias, createCredentialProvider(defaultSite)]]);
+
+const credentialProviderFor = (site) => {
+  if (!credentialProviders.has(site.alias)) {
+    credentialProviders.set(site.alias, createCredentialProvider(site));
+  }
+  return credentialProviders.get(site.alias);
+};
 
-// Data cache for frequently accessed data
-const dataCache = new NodeCache({ stdTTL: config.cache.dataTTL });
+// Fails fast while a tenant is persistently throttling us; sites of one
+// tenant share a breaker
+const throttleBreakers = new Map();
+
+const throttleBreakerFor = (site) => {
+  if (!throttleBreakers.has(site.tenantId)) {
+    throttleBreakers.set(site.tenantId, new CircuitBreaker('SharePoint', config.circuitBreaker));
+  }
+  return throttleBreakers.get(site.tenantId);
+};
+
+// Never cache a token past its own expiry (with a minute of headroom)
+const tokenTTL = (expiresIn) => expiresIn
+  ? Math.max(1, Math.min(config.cache.tokenTTL, expiresIn - 60))
+  : config.cache.tokenTTL;
+
+// Paging cursors are signed so clients cannot point them at other lists
+const cursorKey = config.paging.cursorSecret || crypto.randomBytes(32).toString('hex');
+
+const cursorSignature = (body) => crypto.createHmac('sha256', cursorKey).update(body).digest('base64url');
+
+/**
+ * Opaque cursor: base64url JSON payload plus its HMAC
+ */
+const signCursor = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${cursorSignature(body)}`;
+};
+
+/**
+ * Payload of a cursor issued by signCursor, or null when it was altered
+ */
+const verifyCursor = (cursor) => {
+  const [body, signature, ...rest] = String(cursor).split('.');
+  if (!body || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(cursorSignature(body));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Characters SharePoint does not allow in file and folder names
+const INVALID_NAME_PATTERN = /["*:<>?/\\|#%]/;
+
+/**
+ * Reject file and folder names SharePoint would refuse (or misread in a path)
+ */
+const assertValidName = (name) => {
+  const value = String(name || '');
+  if (!value.trim() || value === '.' || value === '..' || INVALID_NAME_PATTERN.test(value) ||
+      value !== value.trim() || value.endsWith('.')) {
+    throw badRequest(`Invalid name: '${value}'`);
+  }
+};
+
+/**
+ * Normalise a server-relative path: leading slash, no trailing or doubled slashes
+ */
+const normalizePath = (value) => {
+  const segments = String(value || '').split('/').filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..')) {
+    throw badRequest(`Invalid path: '${value}'`);
+  }
+  return `/${segments.join('/')}`;
+};
+
+const parentPath = (value) => value.slice(0, value.lastIndexOf('/'));
+
+/**
+ * Whether SharePoint reported a missing file or folder
+ * (404, or a FileNotFoundException on older by-path endpoints)
+ */
+const isNotFound = (error) => error.response?.status === 404 ||
+  /FileNotFoundException|-2147024894/.test(JSON.stringify(error.response?.data?.error || ''));
+
+/**
+ * Whether SharePoint refused a write because the target already exists
+ */
+const isAlreadyExists = (error) =>
+  /already exists|-2130575257|-2147024713/i.test(JSON.stringify(error.response?.data?.error || ''));
+
+// SP.MoveOperations flag letting MoveTo replace an existing file
+const MOVE_OVERWRITE = 1;
+
+// Copy job NameConflictBehavior for each conflict policy
+const COPY_JOB_CONFLICT = { fail: 0, overwrite: 1, keepBoth: 2 };
+
+// Highest " (n)" suffix tried when keeping both files
+const MAX_NAME_SUFFIX = 100;
+
+/**
+ * File name with a " (n)" suffix before its extension ("Plan.docx" -> "Plan (2).docx")
+ */
+const suffixedName = (name, n) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.slice(0, dot)} (${n})${name.slice(dot)}` : `${name} (${n})`;
+};
+
+/**
+ * Absolute URL of a server-relative path on a site's host, as copy jobs expect
+ */
+const absoluteUrl = (site, serverRelativePath) => `${new URL(site.siteUrl).origin}${encodeURI(serverRelativePath)}`;
+
+/**
+ * Errors reported in copy job log entries (JSON strings with an Event field)
+ */
+const copyJobErrors = (logs) => (logs?.results || logs || [])
+  .map(entry => {
+    try {
+      return JSON.parse(entry);
+    } catch (error) {
+      return null;
+    }
+  })
+  .filter(entry => entry && ['JobError', 'JobFatalError'].includes(entry.Event))
+  .map(entry => ({ message: entry.Message, time: entry.Time }));
+
+/**
+ * Job details returned to callers (the job's SharePoint queue keys stay internal)
+ */
+const copyJobView = ({ copyJobInfo, ...job }) => job;
+
+/**
+ * Run async tasks with at most `limit` of them in flight at once
+ */
+const createLimiter = (limit) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+// Fields of a folder and its subfolders needed for a folder tree node
+const FOLDER_TREE_FIELDS = ['Name', 'ServerRelativeUrl', 'ItemCount', 'TimeLastModified'];
+
+/**
+ * Folder tree node; fileCount is only known for folders that were listed
+ */
+const folderNode = (folder, children, fileCount) => ({
+  name: folder.Name,
+  serverRelativeUrl: folder.ServerRelativeUrl,
+  itemCount: folder.ItemCount,
+  ...(fileCount !== undefined && { fileCount }),
+  timeLastModified: folder.TimeLastModified,
+  children
+});
 
 class SharePointService {
+  /**
+   * Site the current request addresses (/api/sites/:siteAlias), else the default site
+   */
+  currentSite() {
+    return getRequestContext()?.site || defaultSite;
+  }
+
+  /**
+   * Run work against another site: outside a request (webhook processing,
+   * renewals), or within one (cross-site copies), keeping that request's
+   * user assertion and other context
+   */
+  async withSite(site, work) {
+    return await requestContext.run({ retries: 0, ...getRequestContext(), site }, work);
+  }
+
   /**
    * Get SharePoint access token (cached)
+   * Requests carrying a user assertion get a delegated token for that user
    */
   async getAccessToken() {
-    const cachedToken = tokenCache.get('access_token');
-    if (cachedToken) {
-      logger.debug('Using cached SharePoint token');
-      return cachedToken;
+    const context = getRequestContext();
+    if (context?.userAssertion) {
+      return await this.getDelegatedToken(context.userAssertion, context.user);
     }
 
-    logger.info('Requesting new SharePoint access token');
-
+    const site = this.currentSite();
     try {
-      const response = await axios.post(
-        config.sharepoint.tokenEndpoint,
-        new URLSearchParams({
-          grant_type: 'client_credentials',
-          client_id: config.sharepoint.clientId,
-          client_secret: config.sharepoint.clientSecret,
-          resource: config.sharepoint.resource
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
-
-      const token = response.data.access_token;
-      tokenCache.set('access_token', token);
-      
-      logger.info('Successfully obtained SharePoint access token');
-      return token;
+      const token = await tokenCache.getOrLoad(`access_token_${site.alias}`, async () => {
+        logger.info('Requesting new SharePoint access token', {
+          site: site.alias,
+          credentialType: site.credentialType,
+          tokenVersion: site.tokenVersion
+        });
+
+        const appToken = await credentialProviderFor(site).getAppToken();
+        logger.info('Successfully obtained SharePoint access token');
+        return appToken;
+      }, { ttl: appToken => tokenTTL(appToken.expiresIn) });
+
+      return token.accessToken;
     } catch (error) {
       logger.error('Failed to get SharePoint access token', {
         error: error.message,
@@ -52,42 +348,282 @@ class SharePointService {
     }
   }
 
+  /**
+   * Exchange a caller's Azure AD token for a SharePoint token (on-behalf-of flow)
+   * Tokens are keyed by a hash of the assertion rather than its claims: the
+   * claims are unverified here, so keying on them would let a forged token
+   * pick up another user's cached SharePoint token.
+   */
+  async getDelegatedToken(userAssertion, user) {
+    const site = this.currentSite();
+    const cacheKey = `obo_${site.alias}_${crypto.createHash('sha256').update(userAssertion).digest('hex')}`;
+
+    try {
+      const token = await tokenCache.getOrLoad(cacheKey, async () => {
+        logger.info('Exchanging user token for delegated SharePoint token', { user, site: site.alias });
+        return await credentialProviderFor(site).getOnBehalfOfToken(userAssertion);
+      }, { ttl: delegatedToken => tokenTTL(delegatedToken.expiresIn) });
+
+      return token.accessToken;
+    } catch (error) {
+      logger.warn('On-behalf-of token exchange failed', {
+        user,
+        error: error.message,
+        response: error.response?.data
+      });
+      const exchangeError = new Error(`User token exchange failed: ${error.response?.data?.error_description || error.message}`);
+      exchangeError.status = 401;
+      throw exchangeError;
+    }
+  }
+
+  /**
+   * Return cached data or load and cache it; concurrent misses share one load.
+   * Delegated requests bypass the cache, since results depend on the user's permissions.
+   * Keys are scoped to the current site.
+   */
+  async cached(cacheKey, tags, loader) {
+    if (getRequestContext()?.userAssertion) return await loader();
+
+    const site = this.currentSite();
+    return await dataCache.getOrLoad(`${site.alias}:${cacheKey}`, loader, { tags: [siteTag(site), ...tags] });
+  }
+
+  /**
+   * GET a single entity (an item) through the data cache. Entries are fresh
+   * for DATA_CACHE_TTL; after that they are revalidated upstream with
+   * If-None-Match and reused on a 304 instead of being downloaded again.
+   */
+  async getRevalidated(cacheKey, tags, endpoint) {
+    if (getRequestContext()?.userAssertion) return await this.makeRequest('GET', endpoint);
+
+    const site = this.currentSite();
+    const entry = await dataCache.getOrLoad(`${site.alias}:${cacheKey}`, async (stale) => {
+      const response = await this.makeRequest('GET', endpoint, null, {
+        headers: stale?.etag ? { 'If-None-Match': stale.etag } : {},
+        rawResponse: true,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+      const freshUntil = Date.now() + config.cache.dataTTL * 1000;
+
+      if (response.status === 304 && stale) {
+        logger.debug('Cached entity revalidated upstream', { cacheKey });
+        return { ...stale, freshUntil };
+      }
+
+      return {
+        data: response.data,
+        etag: response.headers.etag || response.data?.d?.__metadata?.etag || null,
+        freshUntil
+      };
+    }, {
+      tags: [siteTag(site), ...tags],
+      ttl: config.cache.revalidateTTL,
+      isFresh: cachedEntry => Date.now() < cachedEntry.freshUntil
+    });
+
+    return entry.data;
+  }
+
+  /**
+   * Cache tag for everything read from one list or library
+   */
+  listTag(listTitle) {
+    return `list:${this.currentSite().siteUrl}:${String(listTitle).toLowerCase()}`;
+  }
+
+  /**
+   * Cache tag for every file listing of the current site
+   */
+  filesTag() {
+    return filesTag(this.currentSite());
+  }
+
+  /**
+   * Drop every cached query result for a list after a write
+   */
+  async invalidateList(listTitle, { files = false } = {}) {
+    const tags = files ? [this.listTag(listTitle), this.filesTag()] : [this.listTag(listTitle)];
+    const dropped = await dataCache.invalidateTags(tags);
+    logger.debug('Invalidated cached list data', { listTitle, dropped });
+    return dropped;
+  }
+
   /**
    * Make authenticated request to SharePoint
+   * Idempotent requests (or any request with options.idempotent) are retried
+   * on throttling and transient errors according to config.retry
    */
   async makeRequest(method, endpoint, data = null, options = {}) {
+    const site = this.currentSite();
     const token = await this.getAccessToken();
-    const url = `${config.sharepoint.siteUrl}${endpoint}`;
+    const throttleBreaker = throttleBreakerFor(site);
+    const url = `${site.siteUrl}${endpoint}`;
+    const { headers, rawResponse, idempotent, ...axiosOptions } = options;
+    const canRetry = idempotent ?? retryPolicy.isIdempotent(method);
 
     const requestConfig = {
       method,
       url,
+      ...axiosOptions,
       headers: {
         'Authorization': `Bearer ${token}`,
         'Accept': 'application/json;odata=verbose',
         'Content-Type': 'application/json;odata=verbose',
-        ...options.headers
-      },
-      ...options
+        ...headers
+      }
     };
 
     if (data) {
       requestConfig.data = data;
     }
 
-    try {
-      logger.debug(`SharePoint ${method} request`, { url, endpoint });
-      const response = await axios(requestConfig);
-      return response.data;
-    } catch (error) {
-      logger.error(`SharePoint ${method} request failed`, {
-        url,
-        error: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      throw error;
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      const probe = throttleBreaker.assertClosed();
+
+      try {
+        logger.debug(`SharePoint ${method} request`, { url, endpoint, attempt });
+        const response = await axios(requestConfig);
+        throttleBreaker.recordSuccess();
+        // Streaming callers need the upstream headers as well as the body
+        return rawResponse ? response : response.data;
+      } catch (error) {
+        // Streamed error bodies cannot be logged or serialized, so drop them
+        if (typeof error.response?.data?.pipe === 'function') {
+          error.response.data.destroy();
+          error.response.data = null;
+        }
+
+        if (retryPolicy.isThrottled(error)) {
+          throttleBreaker.recordFailure(retryPolicy.parseRetryAfter(error));
+        } else if (probe) {
+          throttleBreaker.releaseProbe();
+        }
+
+        const delay = retryPolicy.retryDelay(error, attempt);
+        const shouldRetry = canRetry &&
+          retryPolicy.isRetryable(error) &&
+          attempt < config.retry.maxAttempts &&
+          Date.now() - startedAt + delay <= config.retry.maxTotalTimeMs;
+
+        if (shouldRetry) {
+          logger.warn(`SharePoint ${method} request throttled or failed, retrying`, {
+            url,
+            status: error.response?.status,
+            code: error.code,
+            attempt,
+            delayMs: delay
+          });
+
+          const context = getRequestContext();
+          if (context) context.retries++;
+
+          await retryPolicy.sleep(delay);
+          continue;
+        }
+
+        logger.error(`SharePoint ${method} request failed`, {
+          url,
+          error: error.message,
+          status: error.response?.status,
+          attempts: attempt,
+          data: error.response?.data
+        });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get form digest value required for POST requests
+   */
+  async getFormDigest() {
+    // contextinfo has no side effects, so it is safe to retry
+    const digestData = await this.makeRequest('POST', '/_api/contextinfo', null, { idempotent: true });
+    return digestData.d.GetContextWebInformation.FormDigestValue;
+  }
+
+  /**
+   * REST endpoint for a list, addressed by title
+   */
+  listEndpoint(listTitle) {
+    return `/_api/web/lists/getbytitle(${odata.pathLiteral(listTitle)})`;
+  }
+
+  /**
+   * Validate a list item id before it is placed in a URL
+   */
+  itemKey(itemId) {
+    const id = Number(itemId);
+    if (!Number.isInteger(id) || id < 1) {
+      throw badRequest(`Invalid item id: ${itemId}`);
+    }
+    return id;
+  }
+
+  /**
+   * Turn a SharePoint __next link into an opaque paging cursor
+   */
+  getNextCursor(listTitle, data) {
+    const nextUrl = data?.d?.__next;
+    if (!nextUrl) return null;
+
+    const index = nextUrl.search(/\/_api\//i);
+    if (index === -1) return null;
+
+    return signCursor({ site: this.currentSite().alias, list: listTitle, next: nextUrl.slice(index) });
+  }
+
+  /**
+   * Resolve a paging cursor back to a request endpoint.
+   * Cursors are signed and bound to the site and list they were issued for.
+   */
+  decodeCursor(listTitle, cursor) {
+    const payload = verifyCursor(cursor);
+
+    const valid = payload &&
+      typeof payload.next === 'string' &&
+      payload.site === this.currentSite().alias &&
+      String(payload.list).toLowerCase() === String(listTitle).toLowerCase() &&
+      /^\/_api\/web\/lists[/(]/i.test(payload.next) &&
+      !payload.next.includes('..');
+
+    if (!valid) {
+      throw badRequest('Invalid paging cursor');
+    }
+    return payload.next;
+  }
+
+  /**
+   * Follow __next links until the results run out or the item ceiling is hit
+   */
+  async fetchAllPages(endpoint, maxItems) {
+    const ceiling = Math.min(maxItems || config.paging.maxItems, config.paging.maxItems);
+    const results = [];
+    let next = endpoint;
+    let pages = 0;
+
+    while (next && results.length < ceiling) {
+      const page = await this.makeRequest('GET', next);
+      results.push(...page.d.results);
+      pages++;
+
+      const nextUrl = page.d.__next;
+      const index = nextUrl ? nextUrl.search(/\/_api\//i) : -1;
+      next = index === -1 ? null : nextUrl.slice(index);
+    }
+
+    const truncated = Boolean(next) || results.length > ceiling;
+    if (truncated) {
+      logger.warn('Paged fetch stopped at item ceiling', { endpoint, ceiling, pages });
     }
+
+    return {
+      d: { results: results.slice(0, ceiling) },
+      truncated
+    };
   }
 
   /**
@@ -95,25 +631,44 @@ class SharePointService {
    */
   async getLists() {
     const cacheKey = 'all_lists';
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
-
-    const data = await this.makeRequest('GET', '/_api/web/lists');
-    dataCache.set(cacheKey, data);
-    return data;
+    return await this.cached(cacheKey, [], () =>
+      this.makeRequest('GET', '/_api/web/lists')
+    );
   }
 
   /**
-   * Get specific list by title
+   * Get specific list by title. Not revalidated by ETag like items: a list's
+   * OData etag only follows schema changes, so SharePoint would answer 304
+   * while ItemCount and LastItemModifiedDate have moved on. The entry is
+   * reloaded once DATA_CACHE_TTL has passed instead.
    */
   async getListByTitle(listTitle) {
     const cacheKey = `list_${listTitle}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
+    return await this.cached(cacheKey, [this.listTag(listTitle)], () =>
+      this.makeRequest('GET', this.listEndpoint(listTitle))
+    );
+  }
+
+  /**
+   * Get field definitions of a list (visible fields only)
+   */
+  async getListFields(listTitle) {
+    const cacheKey = `fields_${listTitle}`;
+    return await this.cached(cacheKey, [this.listTag(listTitle)], async () => {
+      const endpoint = `${this.listEndpoint(listTitle)}/fields` +
+        odata.buildQuery({ filter: odata.eq('Hidden', false) });
+      const data = await this.makeRequest('GET', endpoint);
+      return data.d.results;
+    });
+  }
 
-    const data = await this.makeRequest('GET', `/_api/web/lists/getbytitle('${listTitle}')`);
-    dataCache.set(cacheKey, data);
-    return data;
+  /**
+   * Validate item data against the list's fields before it is sent to SharePoint
+   * Returns { errors, value } where value uses SharePoint property names
+   */
+  async validateItemData(listTitle, itemData, { partial = false } = {}) {
+    const fields = await this.getListFields(listTitle);
+    return validateListItem(fields, itemData, { partial });
   }
 
   /**
@@ -121,13 +676,10 @@ class SharePointService {
    */
   async getFolders(libraryName = 'Documents') {
     const cacheKey = `folders_${libraryName}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
-
-    const endpoint = `/_api/web/lists/getbytitle('${libraryName}')/folders`;
-    const data = await this.makeRequest('GET', endpoint);
-    dataCache.set(cacheKey, data);
-    return data;
+    return await this.cached(cacheKey, [this.listTag(libraryName), this.filesTag()], async () => {
+      const endpoint = `${this.listEndpoint(libraryName)}/folders`;
+      return await this.makeRequest('GET', endpoint);
+    });
   }
 
   /**
@@ -135,14 +687,11 @@ class SharePointService {
    */
   async getFolderContents(folderPath) {
     const cacheKey = `folder_contents_${folderPath}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
-
-    // Get folder by server relative URL
-    const endpoint = `/_api/web/GetFolderByServerRelativeUrl('${folderPath}')?$expand=Folders,Files`;
-    const data = await this.makeRequest('GET', endpoint);
-    dataCache.set(cacheKey, data);
-    return data;
+    return await this.cached(cacheKey, [this.filesTag()], async () => {
+      // Get folder by server relative URL
+      const endpoint = this.folderEndpoint(folderPath) + odata.buildQuery({ expand: ['Folders', 'Files'] });
+      return await this.makeRequest('GET', endpoint);
+    });
   }
 
   /**
@@ -157,202 +706,838 @@ class SharePointService {
   }
 
   /**
-   * Get all files in a library with metadata
+   * REST endpoint for a folder, addressed by server-relative URL
    */
-  async getAllFiles(libraryName = 'Documents', options = {}) {
-    const { select, expand, filter, top, orderby } = options;
-    
-    let endpoint = `/_api/web/lists/getbytitle('${libraryName}')/items`;
-    const params = [];
+  folderEndpoint(folderPath) {
+    return `/_api/web/GetFolderByServerRelativeUrl(${odata.pathLiteral(folderPath)})`;
+  }
 
-    // Default expansions for file metadata
-    const defaultExpand = 'File,Folder,Author,Editor';
-    params.push(`$expand=${expand || defaultExpand}`);
+  /**
+   * Whether a folder exists (never cached, since it guards writes)
+   */
+  async folderExists(folderPath) {
+    try {
+      const data = await this.makeRequest('GET', this.folderEndpoint(folderPath) + odata.buildQuery({ select: 'Exists' }));
+      return data.d.Exists !== false;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Drop everything cached for the site, for writes addressed by path where
+   * the affected libraries are not known: list items and list metadata
+   * (item counts, modified dates) change along with the file listings
+   */
+  async invalidateSite() {
+    const dropped = await dataCache.invalidateTags([siteTag(this.currentSite())]);
+    logger.debug('Invalidated cached site data', { dropped });
+    return dropped;
+  }
+
+  /**
+   * Create a folder path inside a library, including missing parents (mkdir -p)
+   * Returns { serverRelativeUrl, created: [server-relative URLs of new folders] }
+   */
+  async createFolder(libraryName, folderPath) {
+    const segments = String(folderPath || '').split('/').filter(Boolean);
+    if (segments.length === 0) throw badRequest('Folder path is required');
+    segments.forEach(assertValidName);
+
+    let current = await this.getLibraryRootUrl(libraryName);
+    const created = [];
+    let formDigestValue = null;
+
+    for (const segment of segments) {
+      current = `${current}/${segment}`;
+      if (await this.folderExists(current)) continue;
+
+      formDigestValue = formDigestValue || await this.getFormDigest();
+      await this.makeRequest('POST', `/_api/web/folders/add(${odata.pathLiteral(current)})`, null, {
+        headers: { 'X-RequestDigest': formDigestValue }
+      }).catch(error => {
+        // A file with the folder's name is in the way
+        throw isAlreadyExists(error) ? conflict(`A file already exists at ${current}`) : error;
+      });
+      created.push(current);
+    }
+
+    if (created.length > 0) {
+      await this.invalidateList(libraryName, { files: true });
+      logger.info('Folders created', { libraryName, created });
+    }
+
+    return { serverRelativeUrl: current, created };
+  }
+
+  /**
+   * Rename a folder in place
+   */
+  async renameFolder(folderPath, newName) {
+    assertValidName(newName);
+    const source = normalizePath(folderPath);
+    return await this.moveFolderTo(source, `${parentPath(source)}/${newName}`);
+  }
+
+  /**
+   * Move a folder (with its contents) into another folder, possibly in another library
+   */
+  async moveFolder(folderPath, destinationFolderPath) {
+    const source = normalizePath(folderPath);
+    const destination = normalizePath(destinationFolderPath);
+    const sourceKey = source.toLowerCase();
+
+    if (destination.toLowerCase() === sourceKey || destination.toLowerCase().startsWith(`${sourceKey}/`)) {
+      throw badRequest('A folder cannot be moved into itself');
+    }
+    if (!await this.folderExists(destination)) {
+      throw notFound(`Destination folder not found: ${destination}`);
+    }
+
+    return await this.moveFolderTo(source, `${destination}/${source.split('/').pop()}`);
+  }
 
-    // Default selections for useful metadata
-    const defaultSelect = 'Id,Title,FileLeafRef,FileRef,FileDirRef,File/Name,File/ServerRelativeUrl,File/TimeLastModified,File/Length,Author/Title,Editor/Title,Modified,Created';
-    params.push(`$select=${select || defaultSelect}`);
+  async moveFolderTo(source, target) {
+    if (!await this.folderExists(source)) {
+      throw notFound(`Folder not found: ${source}`);
+    }
+    if (target === source) {
+      return { from: source, serverRelativeUrl: target };
+    }
+    // Names are case-insensitive, so a case-only rename finds itself
+    if (target.toLowerCase() !== source.toLowerCase() && await this.folderExists(target)) {
+      throw conflict(`A folder already exists at ${target}`);
+    }
 
-    if (filter) params.push(`$filter=${filter}`);
-    if (top) params.push(`$top=${top}`);
-    if (orderby) params.push(`$orderby=${orderby}`);
+    const formDigestValue = await this.getFormDigest();
+    await this.makeRequest('POST', `${this.folderEndpoint(source)}/MoveTo(newUrl=${odata.pathLiteral(target)})`, null, {
+      headers: { 'X-RequestDigest': formDigestValue }
+    }).catch(error => {
+      throw isAlreadyExists(error) ? conflict(`An item already exists at ${target}`) : error;
+    });
 
-    endpoint += `?${params.join('&')}`;
+    await this.invalidateSite();
+    logger.info('Folder moved', { from: source, to: target });
+    return { from: source, serverRelativeUrl: target };
+  }
 
-    const cacheKey = `all_files_${libraryName}_${endpoint}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
+  /**
+   * Delete a folder and its contents: to the recycle bin, or permanently
+   */
+  async deleteFolder(folderPath, { permanent = false } = {}) {
+    const folder = normalizePath(folderPath);
+    const formDigestValue = await this.getFormDigest();
 
-    const data = await this.makeRequest('GET', endpoint);
-    dataCache.set(cacheKey, data);
-    return data;
+    const result = await this.makeRequest(
+      'POST',
+      permanent ? this.folderEndpoint(folder) : `${this.folderEndpoint(folder)}/recycle()`,
+      null,
+      {
+        headers: permanent
+          ? { 'X-RequestDigest': formDigestValue, 'X-HTTP-Method': 'DELETE', 'IF-MATCH': '*' }
+          : { 'X-RequestDigest': formDigestValue }
+      }
+    ).catch(error => {
+      throw isNotFound(error) ? notFound(`Folder not found: ${folder}`) : error;
+    });
+
+    await this.invalidateSite();
+    logger.info('Folder deleted', { folder, permanent });
+
+    return {
+      serverRelativeUrl: folder,
+      permanent,
+      // Recycle bin item id, usable to restore the folder
+      recycleBinItemId: permanent ? null : result?.d?.Recycle || null
+    };
+  }
+
+  /**
+   * REST endpoint for a file, addressed by server-relative URL
+   */
+  fileEndpoint(filePath) {
+    return `/_api/web/GetFileByServerRelativeUrl(${odata.pathLiteral(filePath)})`;
+  }
+
+  /**
+   * Whether a file exists (never cached, since it guards writes)
+   */
+  async fileExists(filePath) {
+    try {
+      const data = await this.makeRequest('GET', this.fileEndpoint(filePath) + odata.buildQuery({ select: 'Exists' }));
+      return data.d.Exists !== false;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Where a copy or move lands under a conflict policy when the target is taken:
+   * fail -> 409, overwrite -> replace it, keepBoth -> first free "name (n).ext"
+   */
+  async resolveFileTarget(target, conflictPolicy) {
+    if (!await this.fileExists(target)) return { target, overwritten: false };
+    if (conflictPolicy === 'overwrite') return { target, overwritten: true };
+    if (conflictPolicy !== 'keepBoth') throw conflict(`A file already exists at ${target}`);
+
+    const folder = parentPath(target);
+    const name = target.split('/').pop();
+    for (let n = 1; n <= MAX_NAME_SUFFIX; n++) {
+      const candidate = `${folder}/${suffixedName(name, n)}`;
+      if (!await this.fileExists(candidate)) return { target: candidate, overwritten: false };
+    }
+    throw conflict(`No free name left for ${target}`);
+  }
+
+  /**
+   * Copy a file into a folder, optionally under a new name or onto another site
+   * conflictPolicy: fail (default), overwrite or keepBoth
+   */
+  async copyFile(filePath, destinationFolderPath, options = {}) {
+    return await this.transferFile('copy', filePath, destinationFolderPath, options);
+  }
+
+  /**
+   * Move a file into a folder, optionally under a new name or onto another site
+   */
+  async moveFile(filePath, destinationFolderPath, options = {}) {
+    return await this.transferFile('move', filePath, destinationFolderPath, options);
+  }
+
+  /**
+   * Rename a file in place
+   */
+  async renameFile(filePath, newName, { conflictPolicy = 'fail' } = {}) {
+    const source = normalizePath(filePath);
+    return await this.transferFile('move', source, parentPath(source), { newName, conflictPolicy });
+  }
+
+  /**
+   * Copy or move within the site through CopyTo/MoveTo; other sites go
+   * through a copy job (see startCopyJob)
+   */
+  async transferFile(operation, filePath, destinationFolderPath, { newName, conflictPolicy = 'fail', destinationSite } = {}) {
+    const source = normalizePath(filePath);
+    const destination = normalizePath(destinationFolderPath);
+    const name = newName || source.split('/').pop();
+    assertValidName(name);
+
+    if (destinationSite && destinationSite.siteUrl !== this.currentSite().siteUrl) {
+      if (newName) throw badRequest('newName is not supported when copying or moving to another site');
+      return await this.startCopyJob(operation, source, destination, destinationSite, conflictPolicy);
+    }
+
+    if (!await this.fileExists(source)) {
+      throw notFound(`File not found: ${source}`);
+    }
+    if (!await this.folderExists(destination)) {
+      throw notFound(`Destination folder not found: ${destination}`);
+    }
+
+    const requested = `${destination}/${name}`;
+    const sameFile = requested.toLowerCase() === source.toLowerCase();
+
+    if (sameFile && operation === 'move') {
+      // Nothing to do, or a case-only rename (which finds the file itself)
+      if (requested !== source) await this.runFileTransfer(operation, source, requested, false);
+      return { operation, from: source, serverRelativeUrl: requested, overwritten: false };
+    }
+    if (sameFile && conflictPolicy === 'overwrite') {
+      throw badRequest('A file cannot be copied onto itself');
+    }
+
+    const { target, overwritten } = await this.resolveFileTarget(requested, conflictPolicy);
+    await this.runFileTransfer(operation, source, target, overwritten);
+    return { operation, from: source, serverRelativeUrl: target, overwritten };
+  }
+
+  async runFileTransfer(operation, source, target, overwrite) {
+    const endpoint = operation === 'copy'
+      ? `${this.fileEndpoint(source)}/CopyTo(strNewUrl=${odata.pathLiteral(target)},bOverWrite=${overwrite})`
+      : `${this.fileEndpoint(source)}/MoveTo(newUrl=${odata.pathLiteral(target)},flags=${overwrite ? MOVE_OVERWRITE : 0})`;
+
+    const formDigestValue = await this.getFormDigest();
+    await this.makeRequest('POST', endpoint, null, {
+      headers: { 'X-RequestDigest': formDigestValue }
+    }).catch(error => {
+      // Taken between the check and the write
+      throw isAlreadyExists(error) ? conflict(`A file already exists at ${target}`) : error;
+    });
+
+    // Source and destination listings may sit in different libraries
+    await this.invalidateSite();
+    logger.info(operation === 'copy' ? 'File copied' : 'File moved', { from: source, to: target, overwrite });
+  }
+
+  /**
+   * Queue a site copy job (CreateCopyJobs) copying or moving a file into a
+   * folder of another site. Large files can take minutes; poll getCopyJob().
+   */
+  async startCopyJob(operation, source, destination, destinationSite, conflictPolicy) {
+    const site = this.currentSite();
+
+    if (!await this.fileExists(source)) {
+      throw notFound(`File not found: ${source}`);
+    }
+    if (!await this.withSite(destinationSite, () => this.folderExists(destination))) {
+      throw notFound(`Destination folder not found: ${destination} (site '${destinationSite.alias}')`);
+    }
+
+    const formDigestValue = await this.getFormDigest();
+    const data = await this.makeRequest(
+      'POST',
+      '/_api/site/CreateCopyJobs',
+      {
+        exportObjectUris: [absoluteUrl(site, source)],
+        destinationUri: absoluteUrl(destinationSite, destination),
+        options: {
+          IsMoveMode: operation === 'move',
+          NameConflictBehavior: COPY_JOB_CONFLICT[conflictPolicy],
+          IgnoreVersionHistory: false,
+          AllowSchemaMismatch: true
+        }
+      },
+      {
+        headers: {
+          'X-RequestDigest': formDigestValue,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const info = (data.d.CreateCopyJobs.results || data.d.CreateCopyJobs)[0];
+    const job = {
+      jobId: info.JobId,
+      operation,
+      status: 'queued',
+      from: source,
+      destination,
+      destinationSite: destinationSite.alias,
+      conflictPolicy,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      errors: [],
+      copyJobInfo: { JobId: info.JobId, JobQueueUri: info.JobQueueUri, EncryptionKey: info.EncryptionKey }
+    };
+
+    await copyJobs.set(`${site.alias}:${job.jobId}`, job);
+    logger.info('Copy job queued', { jobId: job.jobId, operation, from: source, destination, destinationSite: destinationSite.alias });
+    return copyJobView(job);
+  }
+
+  /**
+   * Status of a copy job started on the current site: queued, running,
+   * completed or failed. Finished jobs drop both sites' cached data.
+   */
+  async getCopyJob(jobId) {
+    const site = this.currentSite();
+    const key = `${site.alias}:${jobId}`;
+
+    // Concurrent polls (on any instance) must not save over each other's
+    // errors: read, poll and save under the job's lock
+    return await copyJobs.withLock(key, async () => {
+      const job = await copyJobs.get(key);
+
+      if (!job) throw notFound(`Copy job not found: ${jobId}`);
+      if (job.completedAt) return copyJobView(job);
+
+      const formDigestValue = await this.getFormDigest();
+      const data = await this.makeRequest('POST', '/_api/site/GetCopyJobProgress', { copyJobInfo: job.copyJobInfo }, {
+        headers: {
+          'X-RequestDigest': formDigestValue,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      // Log entries are handed out once, so errors accumulate on the job
+      const progress = data.d.GetCopyJobProgress || data.d;
+      job.errors = [...job.errors, ...copyJobErrors(progress.Logs)];
+
+      // JobState 0: nothing left in the queue
+      if (progress.JobState === 0) {
+        job.status = job.errors.length > 0 ? 'failed' : 'completed';
+        job.completedAt = new Date().toISOString();
+
+        const destinationSite = findSite(job.destinationSite);
+        await dataCache.invalidateTags([siteTag(site), ...(destinationSite ? [siteTag(destinationSite)] : [])]);
+        logger.info('Copy job finished', { jobId, status: job.status, errors: job.errors.length });
+      } else {
+        job.status = 'running';
+      }
+
+      await copyJobs.set(key, job);
+      return copyJobView(job);
+    }, { timeoutMs: config.retry.maxTotalTimeMs });
+  }
+
+  /**
+   * Version history of a file, newest first (never cached, since every
+   * save adds a version)
+   */
+  async getFileVersions(filePath) {
+    const path = normalizePath(filePath);
+    const fileQuery = odata.buildQuery({
+      select: 'Name,ServerRelativeUrl,Length,TimeLastModified,UIVersion,UIVersionLabel,CheckInComment,ModifiedBy/Id,ModifiedBy/Title,ModifiedBy/Email',
+      expand: ['ModifiedBy']
+    });
+    const versionsQuery = odata.buildQuery({
+      select: 'ID,VersionLabel,Created,Size,CheckInComment,IsCurrentVersion,CreatedBy/Id,CreatedBy/Title,CreatedBy/Email',
+      expand: ['CreatedBy']
+    });
+
+    const [file, versions] = await Promise.all([
+      this.makeRequest('GET', this.fileEndpoint(path) + fileQuery),
+      this.makeRequest('GET', `${this.fileEndpoint(path)}/Versions` + versionsQuery)
+    ]).catch(error => {
+      throw isNotFound(error) ? notFound(`File not found: ${path}`) : error;
+    });
+
+    return shapeFileVersions(file.d, versions.d);
+  }
+
+  async findFileVersion(filePath, versionId) {
+    const versions = await this.getFileVersions(filePath);
+    const version = versions.find(entry => entry.VersionId === versionId);
+    if (!version) throw notFound(`Version ${versionId} not found for ${filePath}`);
+    return version;
+  }
+
+  /**
+   * Download the content of one version of a file as a stream
+   */
+  async downloadFileVersion(filePath, versionId) {
+    const path = normalizePath(filePath);
+    const version = await this.findFileVersion(path, versionId);
+
+    // The current version is not part of the Versions collection
+    const file = version.IsCurrentVersion
+      ? await this.downloadFile(path)
+      : await this.streamFile(`${this.fileEndpoint(path)}/Versions(${versionId})/$value`, path.split('/').pop());
+
+    return { ...file, versionLabel: version.VersionLabel };
+  }
+
+  /**
+   * Make an earlier version of a file current again (saved as a new version)
+   */
+  async restoreFileVersion(filePath, versionId) {
+    const path = normalizePath(filePath);
+    const version = await this.findFileVersion(path, versionId);
+    if (version.IsCurrentVersion) throw badRequest(`Version ${version.VersionLabel} is already the current version`);
+
+    const formDigestValue = await this.getFormDigest();
+    await this.makeRequest(
+      'POST',
+      `${this.fileEndpoint(path)}/Versions/RestoreByLabel(versionlabel=${odata.pathLiteral(version.VersionLabel)})`,
+      null,
+      { headers: { 'X-RequestDigest': formDigestValue } }
+    );
+
+    await this.invalidateSite();
+    logger.info('File version restored', { path, versionLabel: version.VersionLabel });
+
+    return {
+      serverRelativeUrl: path,
+      restoredVersion: { VersionId: version.VersionId, VersionLabel: version.VersionLabel }
+    };
+  }
+
+  /**
+   * Site metadata
+   */
+  async getWebInfo() {
+    return await this.cached('web_info', [], async () => {
+      return await this.makeRequest('GET', '/_api/web' + odata.buildQuery({ select: WEB_SELECT }));
+    });
+  }
+
+  /**
+   * Subsites directly below the site
+   */
+  async getSubwebs() {
+    return await this.cached('subwebs', [], async () => {
+      return await this.makeRequest('GET', '/_api/web/webs' + odata.buildQuery({ select: WEB_SELECT }));
+    });
+  }
+
+  /**
+   * Visible document libraries of the site
+   */
+  async getDocumentLibraries() {
+    return await this.cached('document_libraries', [], async () => {
+      const endpoint = '/_api/web/lists' + odata.buildQuery({
+        filter: odata.and(odata.eq('BaseTemplate', DOCUMENT_LIBRARY_TEMPLATE), odata.eq('Hidden', false)),
+        select: LIBRARY_SELECT,
+        expand: 'RootFolder'
+      });
+      return await this.makeRequest('GET', endpoint);
+    });
+  }
+
+  /**
+   * Folder tree of a library, `depth` levels below its root folder.
+   * Folders on the last level are listed without their children (children: null).
+   */
+  async getFolderTree(libraryName = 'Documents', depth = config.discovery.folderTreeDepth) {
+    const rootUrl = await this.getLibraryRootUrl(libraryName);
+    // One limit for the whole tree, however wide or deep it is
+    const limit = createLimiter(config.discovery.folderTreeConcurrency);
+    return await this.expandFolder(rootUrl, depth, { isRoot: true, limit });
+  }
+
+  async expandFolder(folderPath, depth, { isRoot = false, limit }) {
+    const data = await limit(() => this.getFolderWithSubfolders(folderPath));
+    const folder = data.d;
+    const allSubfolders = folder.Folders.results;
+
+    // "Forms" in a library root holds the library's own view pages
+    const subfolders = allSubfolders.filter(subfolder => !(isRoot && subfolder.Name === 'Forms'));
+
+    const children = depth > 0
+      ? await Promise.all(subfolders.map(subfolder => depth > 1
+        ? this.expandFolder(subfolder.ServerRelativeUrl, depth - 1, { limit })
+        : folderNode(subfolder, null)))
+      : null;
+
+    // ItemCount covers files and subfolders alike
+    return folderNode(folder, children, Math.max(0, folder.ItemCount - allSubfolders.length));
+  }
+
+  /**
+   * A folder and its direct subfolders, without listing its files
+   */
+  async getFolderWithSubfolders(folderPath) {
+    const cacheKey = `folder_subfolders_${folderPath}`;
+    return await this.cached(cacheKey, [this.filesTag()], async () => {
+      const endpoint = this.folderEndpoint(folderPath) + odata.buildQuery({
+        select: [...FOLDER_TREE_FIELDS, ...FOLDER_TREE_FIELDS.map(field => `Folders/${field}`)],
+        expand: ['Folders']
+      });
+      return await this.makeRequest('GET', endpoint);
+    });
+  }
+
+  /**
+   * Get all files in a library with metadata
+   */
+  async getAllFiles(libraryName = 'Documents', options = {}) {
+    const { select, expand, filter, top, orderby, cursor, fetchAll, maxItems } = options;
+
+    const endpoint = cursor
+      ? this.decodeCursor(libraryName, cursor)
+      : `${this.listEndpoint(libraryName)}/items` + odata.buildQuery({
+        filter,
+        select: select || FILE_SELECT,
+        expand: expand || FILE_EXPAND,
+        top: fetchAll ? config.paging.pageSize : top,
+        orderby
+      });
+
+    const cacheKey = fetchAll
+      ? `all_files_${libraryName}_all_${maxItems || ''}_${endpoint}`
+      : `all_files_${libraryName}_${endpoint}`;
+    return await this.cached(cacheKey, [this.listTag(libraryName), this.filesTag()], async () => {
+      return fetchAll
+        ? await this.fetchAllPages(endpoint, maxItems)
+        : await this.makeRequest('GET', endpoint);
+    });
   }
 
   /**
    * Search files by name (Level 1: Basic file finding)
    */
-  async searchFilesByName(fileName, libraryName = 'Documents') {
-    const filter = `substringof('${fileName}', FileLeafRef)`;
-    return await this.getAllFiles(libraryName, { filter, top: 100 });
+  async searchFilesByName(fileName, libraryName = 'Documents', paging = {}) {
+    const filter = odata.substringof(fileName, 'FileLeafRef');
+    return await this.getAllFiles(libraryName, { filter, top: 100, ...paging });
   }
 
   /**
    * Search files by file type/extension (Level 2: Filter by type)
    */
-  async searchFilesByType(fileExtension, libraryName = 'Documents') {
+  async searchFilesByType(fileExtension, libraryName = 'Documents', paging = {}) {
     // Remove leading dot if present
     const ext = fileExtension.replace(/^\./, '');
-    const filter = `endswith(FileLeafRef, '.${ext}')`;
-    return await this.getAllFiles(libraryName, { filter, top: 500 });
+    const filter = odata.endswith('FileLeafRef', `.${ext}`);
+    return await this.getAllFiles(libraryName, { filter, top: 500, ...paging });
   }
 
   /**
    * Search files by multiple types (e.g., ["docx", "doc", "pdf"])
    */
-  async searchFilesByTypes(fileExtensions, libraryName = 'Documents') {
+  async searchFilesByTypes(fileExtensions, libraryName = 'Documents', paging = {}) {
     const filters = fileExtensions.map(ext => {
       const cleanExt = ext.replace(/^\./, '');
-      return `endswith(FileLeafRef, '.${cleanExt}')`;
+      return odata.endswith('FileLeafRef', `.${cleanExt}`);
     });
-    const filter = filters.join(' or ');
-    return await this.getAllFiles(libraryName, { filter, top: 500 });
+    const filter = odata.or(filters);
+    return await this.getAllFiles(libraryName, { filter, top: 500, ...paging });
   }
 
   /**
    * Search files by date range (Level 2: Date filtering)
    */
-  async searchFilesByDateRange(startDate, endDate, libraryName = 'Documents') {
-    let filter = '';
-    
-    if (startDate && endDate) {
-      filter = `Modified ge datetime'${startDate}' and Modified le datetime'${endDate}'`;
-    } else if (startDate) {
-      filter = `Modified ge datetime'${startDate}'`;
-    } else if (endDate) {
-      filter = `Modified le datetime'${endDate}'`;
-    }
+  async searchFilesByDateRange(startDate, endDate, libraryName = 'Documents', paging = {}) {
+    const filter = odata.and(
+      startDate && odata.ge('Modified', new Date(startDate)),
+      endDate && odata.le('Modified', new Date(endDate))
+    );
 
     return await this.getAllFiles(libraryName, { 
       filter, 
       top: 500,
-      orderby: 'Modified desc'
+      orderby: 'Modified desc',
+      ...paging
     });
   }
 
   /**
    * Search files modified in specific month (Level 2)
    */
-  async searchFilesByMonth(year, month, libraryName = 'Documents') {
+  async searchFilesByMonth(year, month, libraryName = 'Documents', paging = {}) {
     const startDate = new Date(year, month - 1, 1).toISOString();
-    const endDate = new Date(year, month, 0).toISOString();
-    return await this.searchFilesByDateRange(startDate, endDate, libraryName);
+    // Up to the last millisecond of the month, not midnight of its last day
+    const endDate = new Date(new Date(year, month, 1).getTime() - 1).toISOString();
+    return await this.searchFilesByDateRange(startDate, endDate, libraryName, paging);
   }
 
   /**
    * Search files by author/creator (Level 2: Search by creator)
    */
-  async searchFilesByAuthor(authorName, libraryName = 'Documents') {
-    const filter = `Author/Title eq '${authorName}'`;
+  async searchFilesByAuthor(authorName, libraryName = 'Documents', paging = {}) {
+    const filter = odata.eq('Author/Title', authorName);
     return await this.getAllFiles(libraryName, { 
       filter,
       top: 500,
-      orderby: 'Modified desc'
+      orderby: 'Modified desc',
+      ...paging
     });
   }
 
   /**
    * Search files by editor (last modified by)
    */
-  async searchFilesByEditor(editorName, libraryName = 'Documents') {
-    const filter = `Editor/Title eq '${editorName}'`;
+  async searchFilesByEditor(editorName, libraryName = 'Documents', paging = {}) {
+    const filter = odata.eq('Editor/Title', editorName);
     return await this.getAllFiles(libraryName, { 
       filter,
       top: 500,
-      orderby: 'Modified desc'
+      orderby: 'Modified desc',
+      ...paging
+    });
+  }
+
+  /**
+   * Advanced keyword search (Level 2: Keyword search)
+   * Searches in file names and titles
+   */
+  async searchByKeyword(keyword, libraryName = 'Documents', paging = {}) {
+    const filter = odata.or(
+      odata.substringof(keyword, 'FileLeafRef'),
+      odata.substringof(keyword, 'Title')
+    );
+    return await this.getAllFiles(libraryName, { 
+      filter,
+      top: 200,
+      orderby: 'Modified desc',
+      ...paging
     });
   }
 
   /**
-   * Advanced keyword search (Level 2: Keyword search)
-   * Searches in file names and titles
+   * Name catalogue of a library's files for fuzzy matching, built from
+   * getAllFiles and dropped with the library's other cached data on writes
+   */
+  async getNameCatalogue(libraryName = 'Documents') {
+    const cacheKey = `name_catalogue_${libraryName}`;
+    return await this.cached(cacheKey, [this.listTag(libraryName), this.filesTag()], async () => {
+      const files = await this.getAllFiles(libraryName, { fetchAll: true });
+      const index = buildNameIndex(files.d.results.filter(item => item.File?.Name));
+
+      logger.debug('Name catalogue built', { libraryName, files: index.length, truncated: files.truncated });
+      return { index, truncated: files.truncated };
+    });
+  }
+
+  /**
+   * Typo-tolerant file name search (edit distance, any token order, stemming)
+   * Results have the getAllFiles item shape plus a score (0-1), best first.
+   */
+  async fuzzySearchFiles(query, libraryName = 'Documents', options = {}) {
+    const { limit = 50, minScore } = options;
+    const catalogue = await this.getNameCatalogue(libraryName);
+
+    return {
+      d: { results: rankMatches(query, catalogue.index, { limit, minScore }) },
+      truncated: catalogue.truncated
+    };
+  }
+
+  /**
+   * Server-relative URL of a library's root folder
+   */
+  async getLibraryRootUrl(libraryName = 'Documents') {
+    const cacheKey = `library_root_${libraryName}`;
+    const data = await this.cached(cacheKey, [this.listTag(libraryName)], async () => {
+      const endpoint = `${this.listEndpoint(libraryName)}/RootFolder` + odata.buildQuery({ select: 'ServerRelativeUrl' });
+      return await this.makeRequest('GET', endpoint);
+    });
+    return data.d.ServerRelativeUrl;
+  }
+
+  /**
+   * Full-text search inside documents through the search index
+   * Restricted to the library, or to folderPath (server-relative, inside the
+   * library) when given. Rows have the getAllFiles item shape plus
+   * HitHighlightedSummary; the cursor continues the same text/library/folderPath search.
+   */
+  async searchFileContent(text, libraryName = 'Documents', options = {}) {
+    const { cursor, top = 50 } = options;
+    const root = await this.getLibraryRootUrl(libraryName);
+    const folder = options.folderPath ? this.libraryFolderPath(libraryName, root, options.folderPath) : null;
+    const startrow = cursor ? this.decodeSearchCursor(cursor, { libraryName, text, folder }) : 0;
+
+    // The scope lives in the query template, where {searchTerms} stands for
+    // the caller's whole query, so KQL in the text cannot widen it
+    const scopeUrl = `${new URL(this.currentSite().siteUrl).origin}${folder || root}`;
+    const querytemplate = `({searchTerms}) path:"${scopeUrl}" IsDocument:1`;
+
+    const cacheKey = `content_search_${libraryName}_${scopeUrl}_${text}_${top}_${startrow}`;
+    return await this.cached(cacheKey, [this.listTag(libraryName), this.filesTag()], async () => {
+      const results = shapeSearchResults(await this.search(text, {
+        selectproperties: CONTENT_SEARCH_SELECT,
+        rowlimit: top,
+        startrow,
+        querytemplate
+      }));
+
+      const nextStart = startrow + results.rowCount;
+      return {
+        d: { results: results.rows.map(toFileItem) },
+        totalRows: results.totalRows,
+        nextCursor: results.rowCount > 0 && nextStart < results.totalRows
+          ? signCursor({ site: this.currentSite().alias, list: libraryName, text, folder, start: nextStart })
+          : null
+      };
+    });
+  }
+
+  /**
+   * A folder path checked to lie inside a library's root folder (trailing
+   * slashes dropped); anything else is rejected
+   */
+  libraryFolderPath(libraryName, root, folderPath) {
+    const folder = String(folderPath).replace(/\/+$/, '');
+    const inside = folder.toLowerCase() === root.toLowerCase() ||
+      folder.toLowerCase().startsWith(`${root.toLowerCase()}/`);
+
+    if (!inside || folder.split('/').includes('..') || folder.includes('"')) {
+      throw badRequest(`folderPath must be a folder inside the ${libraryName} library (${root})`);
+    }
+    return folder;
+  }
+
+  /**
+   * Start row of a content search cursor. Cursors are signed and bound to the
+   * site, library, text and folder they were issued for.
    */
-  async searchByKeyword(keyword, libraryName = 'Documents') {
-    const filter = `(substringof('${keyword}', FileLeafRef) or substringof('${keyword}', Title))`;
-    return await this.getAllFiles(libraryName, { 
-      filter,
-      top: 200,
-      orderby: 'Modified desc'
-    });
+  decodeSearchCursor(cursor, { libraryName, text, folder }) {
+    const payload = verifyCursor(cursor);
+
+    const valid = payload &&
+      Number.isInteger(payload.start) &&
+      payload.start >= 0 &&
+      payload.site === this.currentSite().alias &&
+      String(payload.list).toLowerCase() === String(libraryName).toLowerCase() &&
+      payload.text === text &&
+      payload.folder === folder;
+
+    if (!valid) {
+      throw badRequest('Invalid paging cursor');
+    }
+    return payload.start;
   }
 
   /**
    * Multi-criteria search (Level 3: Combined filters)
    * Example: Word docs in Templates by Nicole Stirling
    */
-  async searchMultiCriteria(criteria, libraryName = 'Documents') {
+  async searchMultiCriteria(criteria, libraryName = 'Documents', paging = {}) {
     const filters = [];
 
     if (criteria.fileName) {
-      filters.push(`substringof('${criteria.fileName}', FileLeafRef)`);
+      filters.push(odata.substringof(criteria.fileName, 'FileLeafRef'));
     }
 
-    if (criteria.fileType) {
-      const ext = criteria.fileType.replace(/^\./, '');
-      filters.push(`endswith(FileLeafRef, '.${ext}')`);
+    const fileTypes = criteria.fileTypes || (criteria.fileType ? [criteria.fileType] : []);
+    if (fileTypes.length > 0) {
+      filters.push(odata.or(fileTypes.map(type => {
+        const ext = String(type).replace(/^\./, '');
+        return odata.endswith('FileLeafRef', `.${ext}`);
+      })));
     }
 
     if (criteria.author) {
-      filters.push(`Author/Title eq '${criteria.author}'`);
+      filters.push(odata.eq('Author/Title', criteria.author));
     }
 
     if (criteria.editor) {
-      filters.push(`Editor/Title eq '${criteria.editor}'`);
+      filters.push(odata.eq('Editor/Title', criteria.editor));
     }
 
     if (criteria.folderPath) {
-      filters.push(`substringof('${criteria.folderPath}', FileDirRef)`);
+      filters.push(odata.substringof(criteria.folderPath, 'FileDirRef'));
     }
 
     if (criteria.startDate) {
-      filters.push(`Modified ge datetime'${criteria.startDate}'`);
+      filters.push(odata.ge('Modified', new Date(criteria.startDate)));
     }
 
     if (criteria.endDate) {
-      filters.push(`Modified le datetime'${criteria.endDate}'`);
+      filters.push(odata.le('Modified', new Date(criteria.endDate)));
     }
 
-    if (criteria.keyword) {
-      filters.push(`(substringof('${criteria.keyword}', FileLeafRef) or substringof('${criteria.keyword}', Title))`);
-    }
+    // Every keyword must appear in the file name or title
+    const keywords = criteria.keywords || (criteria.keyword ? [criteria.keyword] : []);
+    keywords.forEach(keyword => {
+      filters.push(odata.or(
+        odata.substringof(keyword, 'FileLeafRef'),
+        odata.substringof(keyword, 'Title')
+      ));
+    });
 
-    const filter = filters.join(' and ');
+    const filter = odata.and(filters);
 
     return await this.getAllFiles(libraryName, { 
       filter,
-      top: 500,
-      orderby: criteria.orderby || 'Modified desc'
+      top: criteria.count || 500,
+      orderby: criteria.orderby || 'Modified desc',
+      ...paging
     });
   }
 
   /**
    * Get files in specific folder (Level 1 & 3: Nested queries)
    */
-  async getFilesInFolder(folderPath, libraryName = 'Documents') {
-    const filter = `FileDirRef eq '${folderPath}'`;
+  async getFilesInFolder(folderPath, libraryName = 'Documents', paging = {}) {
+    const filter = odata.eq('FileDirRef', folderPath);
     return await this.getAllFiles(libraryName, { 
       filter,
       top: 500,
-      orderby: 'FileLeafRef asc'
+      orderby: 'FileLeafRef asc',
+      ...paging
     });
   }
 
   /**
    * Get most recently modified files (Level 2 & 4)
    */
-  async getRecentFiles(count = 10, libraryName = 'Documents') {
+  async getRecentFiles(count = 10, libraryName = 'Documents', paging = {}) {
     return await this.getAllFiles(libraryName, { 
       top: count,
-      orderby: 'Modified desc'
+      orderby: 'Modified desc',
+      ...paging
     });
   }
 
@@ -360,11 +1545,12 @@ class SharePointService {
    * Get file statistics (Level 4: Analytical)
    */
   async getFileStatistics(libraryName = 'Documents') {
-    const files = await this.getAllFiles(libraryName, { top: 5000 });
+    const files = await this.getAllFiles(libraryName, { fetchAll: true });
     const items = files.d.results;
 
     const stats = {
       totalFiles: items.length,
+      truncated: files.truncated,
       filesByType: {},
       filesByAuthor: {},
       filesByEditor: {},
@@ -435,167 +1621,367 @@ class SharePointService {
   /**
    * Smart search with natural language understanding (Level 5: Conversational)
    * This interprets queries and routes to appropriate methods
+   * Returns { intent, results } so callers can show how the query was read
    */
-  async smartSearch(query, libraryName = 'Documents') {
+  async smartSearch(query, libraryName = 'Documents', paging = {}) {
     query = query.toLowerCase();
     
     // Detect query intent
-    const intent = this.detectSearchIntent(query);
+    const parser = await this.getIntentParser(libraryName);
+    const intent = parser.detect(query);
     
     logger.info('Smart search intent detected', { query, intent });
 
+    const results = await this.runSearchIntent(intent, libraryName, paging);
+
+    // Nothing matched the exact name search: try typo-tolerant matching.
+    // Not for cursor pages, which continue the exact search.
+    const text = fuzzyFallbackText(intent);
+    if (text && !paging.cursor && results.d?.results?.length === 0) {
+      logger.info('Smart search falling back to fuzzy name matching', { query, libraryName });
+      return { intent, results: await this.fuzzySearchFiles(text, libraryName, { limit: intent.criteria?.count }), fuzzy: true };
+    }
+
+    return { intent, results, fuzzy: false };
+  }
+
+  /**
+   * Run the search an intent stands for
+   */
+  async runSearchIntent(intent, libraryName = 'Documents', paging = {}) {
     switch (intent.type) {
       case 'file_by_name':
-        return await this.searchFilesByName(intent.term, libraryName);
+        return await this.searchFilesByName(intent.term, libraryName, paging);
       
       case 'file_by_type':
-        return await this.searchFilesByType(intent.fileType, libraryName);
+        return await this.searchFilesByType(intent.fileType, libraryName, paging);
       
       case 'file_by_author':
-        return await this.searchFilesByAuthor(intent.author, libraryName);
+        return await this.searchFilesByAuthor(intent.author, libraryName, paging);
       
       case 'file_by_date':
-        if (intent.month && intent.year) {
-          return await this.searchFilesByMonth(intent.year, intent.month, libraryName);
-        }
-        return await this.searchFilesByDateRange(intent.startDate, intent.endDate, libraryName);
+        // The parser resolves months too into a range ending at the end of the last day
+        return await this.searchFilesByDateRange(intent.startDate, intent.endDate, libraryName, paging);
       
       case 'folder_contents':
-        return await this.getFilesInFolder(intent.folderPath, libraryName);
+        return await this.getFilesInFolder(intent.folderPath, libraryName, paging);
       
       case 'keyword_search':
-        return await this.searchByKeyword(intent.keyword, libraryName);
+        return await this.searchByKeyword(intent.keyword, libraryName, paging);
       
       case 'recent_files':
-        return await this.getRecentFiles(intent.count || 10, libraryName);
+        return await this.getRecentFiles(intent.count || 10, libraryName, paging);
       
       case 'statistics':
         return await this.getFileStatistics(libraryName);
       
       case 'multi_criteria':
-        return await this.searchMultiCriteria(intent.criteria, libraryName);
+        return await this.searchMultiCriteria(intent.criteria, libraryName, paging);
       
       default:
         // Fallback to keyword search
-        return await this.searchByKeyword(query, libraryName);
+        return await this.searchByKeyword(intent.term, libraryName, paging);
+    }
+  }
+
+  /**
+   * Intent parser for a library: the rules file, plus the site's users and
+   * the library's folders when INTENT_RULES_DISCOVERY is on
+   */
+  async getIntentParser(libraryName = 'Documents') {
+    if (!config.search.discoverIntentRules) return this.staticIntentParser();
+    return createIntentParser(await this.getIntentRules(libraryName));
+  }
+
+  /**
+   * Parser for the current site's configured intent rules: its own
+   * intentRulesFile, or INTENT_RULES_FILE
+   */
+  staticIntentParser() {
+    const site = this.currentSite();
+    if (!staticIntentParsers.has(site.alias)) {
+      staticIntentParsers.set(site.alias, createIntentParser(mergeIntentRules(site.intentRules || intentRules)));
     }
+    return staticIntentParsers.get(site.alias);
+  }
+
+  /**
+   * Effective intent rules for a library; configured entries win over
+   * discovered ones with the same name
+   */
+  async getIntentRules(libraryName = 'Documents', { discover = config.search.discoverIntentRules } = {}) {
+    if (!discover) return this.staticIntentParser().rules;
+
+    const discovered = await this.discoverIntentRules(libraryName);
+    return mergeIntentRules(this.currentSite().intentRules || intentRules, discovered);
+  }
+
+  /**
+   * Build people and folder aliases from the site's users and a library's folders.
+   * People get their full name, plus their first name when no other user shares it.
+   */
+  async discoverIntentRules(libraryName = 'Documents') {
+    const [users, folders] = await Promise.all([this.getSiteUsers(), this.getFolders(libraryName)]);
+
+    const names = users.d.results.map(user => user.Title).filter(Boolean);
+    const firstNameCounts = {};
+    names.forEach(name => {
+      const first = name.split(' ')[0].toLowerCase();
+      firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+    });
+
+    const people = names.map(name => {
+      const first = name.split(' ')[0].toLowerCase();
+      const uniqueFirstName = name.includes(' ') && firstNameCounts[first] === 1;
+      return { name, aliases: uniqueFirstName ? [first] : [] };
+    });
+
+    // "Forms" holds the library's own view pages
+    const libraryFolders = folders.d.results
+      .filter(folder => folder.Name && folder.Name !== 'Forms')
+      .map(folder => ({ name: folder.Name, path: folder.ServerRelativeUrl, aliases: [] }));
+
+    return { people, folders: libraryFolders };
+  }
+
+  /**
+   * Get the site's users (people only, no groups)
+   */
+  async getSiteUsers() {
+    const endpoint = '/_api/web/siteusers' + odata.buildQuery({
+      filter: odata.eq('PrincipalType', 1),
+      select: ['Id', 'Title', 'Email']
+    });
+    return await this.cached('site_users', [], () =>
+      this.makeRequest('GET', endpoint)
+    );
   }
 
   /**
    * Detect intent from natural language query
+   * (configured rules only; smartSearch also uses discovered aliases)
    */
   detectSearchIntent(query) {
-    const intent = { type: 'keyword_search', term: query };
-
-    // File type detection
-    const fileTypePatterns = {
-      'word|docx|doc|word documents?': 'docx',
-      'powerpoint|pptx|ppt|presentations?|slides?': 'pptx',
-      'excel|xlsx|xls|spreadsheets?': 'xlsx',
-      'pdf|pdfs': 'pdf'
-    };
+    return this.staticIntentParser().detect(query);
+  }
 
-    for (const [pattern, type] of Object.entries(fileTypePatterns)) {
-      if (new RegExp(pattern, 'i').test(query)) {
-        intent.type = 'file_by_type';
-        intent.fileType = type;
-        return intent;
-      }
+  /**
+   * Get list items (existing method)
+   */
+  async getListItems(listTitle, options = {}) {
+    const { filter, select, top, skip, orderby, cursor, fetchAll, maxItems } = options;
+
+    // filter is passed through as supplied by the API caller; everything
+    // else is validated by the query builder
+    const endpoint = cursor
+      ? this.decodeCursor(listTitle, cursor)
+      : `${this.listEndpoint(listTitle)}/items` + odata.buildQuery({
+        filter,
+        select,
+        top: fetchAll ? config.paging.pageSize : top,
+        skip,
+        orderby
+      });
+
+    const cacheKey = fetchAll
+      ? `items_${listTitle}_all_${maxItems || ''}_${endpoint}`
+      : `items_${listTitle}_${endpoint}`;
+    return await this.cached(cacheKey, [this.listTag(listTitle)], async () => {
+      return fetchAll
+        ? await this.fetchAllPages(endpoint, maxItems)
+        : await this.makeRequest('GET', endpoint);
+    });
+  }
+
+  /**
+   * Item changes since a change token (GetChanges), for incremental sync.
+   * Without a token only the list's current token is returned, to be taken
+   * before a full read. Changes are collapsed per item into added, updated
+   * and deleted; added/updated items are read fresh from SharePoint
+   * (with file metadata for document libraries).
+   * Returns { token, hasMore, added, updated, deleted: [{ id, deletedAt }] }
+   */
+  async getListChanges(listTitle, token) {
+    if (!token) {
+      const endpoint = this.listEndpoint(listTitle) + odata.buildQuery({ select: ['CurrentChangeToken'] });
+      const data = await this.makeRequest('GET', endpoint);
+      return { token: data.d.CurrentChangeToken.StringValue, hasMore: false, added: [], updated: [], deleted: [] };
     }
 
-    // Author/Creator detection
-    const authorMatch = query.match(/(?:by|created by|from|authored by)\s+([a-z\s]+)/i);
-    if (authorMatch || query.includes('nicole stirling') || query.includes('christine gooding') || query.includes('sajjad')) {
-      intent.type = 'file_by_author';
-      intent.author = authorMatch ? authorMatch[1].trim() : 
-                      query.includes('nicole') ? 'Nicole Stirling' :
-                      query.includes('christine') ? 'Christine Gooding' : 'Sajjad';
-      return intent;
+    if (!/^\d+;\d+;[0-9a-f-]{36};\d+;-?\d+$/i.test(token)) {
+      throw badRequest('Invalid change token');
     }
 
-    // Date detection
-    const months = {
-      january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
-      july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+    const query = {
+      __metadata: { type: 'SP.ChangeQuery' },
+      Item: true,
+      Add: true,
+      Update: true,
+      DeleteObject: true,
+      Rename: true,
+      Restore: true,
+      FetchLimit: CHANGE_FETCH_LIMIT,
+      ChangeTokenStart: { __metadata: { type: 'SP.ChangeToken' }, StringValue: token }
     };
 
-    for (const [month, num] of Object.entries(months)) {
-      if (query.includes(month)) {
-        intent.type = 'file_by_date';
-        intent.month = num;
-        intent.year = new Date().getFullYear(); // Default to current year
-        
-        // Check for year in query
-        const yearMatch = query.match(/\b(20\d{2})\b/);
-        if (yearMatch) {
-          intent.year = parseInt(yearMatch[1]);
-        }
-        return intent;
+    let changes;
+    try {
+      // GetChanges only reads, so it is safe to retry
+      const data = await this.makeRequest('POST', `${this.listEndpoint(listTitle)}/GetChanges`, { query }, { idempotent: true });
+      changes = data.d.results;
+    } catch (error) {
+      // SharePoint rejects tokens from another list or older than its change log
+      const message = error.response?.data?.error?.message?.value || '';
+      if (error.response?.status === 400 || /change ?token/i.test(message)) {
+        throw badRequest('Change token is invalid or has expired; start again without a token and do a full read');
       }
+      throw error;
     }
 
-    // Recent files detection
-    if (query.includes('recent') || query.includes('latest') || query.includes('newest')) {
-      intent.type = 'recent_files';
-      const countMatch = query.match(/(\d+)/);
-      intent.count = countMatch ? parseInt(countMatch[1]) : 10;
-      return intent;
-    }
+    // Collapse the ordered change log into each item's net change
+    const netChanges = new Map();
+    changes.forEach(change => {
+      const previous = netChanges.get(change.ItemId);
+      const isNew = previous?.isNew || [CHANGE_TYPES.add, CHANGE_TYPES.restore].includes(change.ChangeType);
+      netChanges.set(change.ItemId, {
+        isNew,
+        deleted: change.ChangeType === CHANGE_TYPES.deleteObject,
+        time: change.Time
+      });
+    });
 
-    // Folder detection
-    const folderKeywords = ['templates', 'marketing', 'branding', 'clients', 'internal assets'];
-    for (const folder of folderKeywords) {
-      if (query.includes(folder)) {
-        intent.type = 'folder_contents';
-        intent.folderPath = `/sites/YourSite/Documents/${folder}`;
-        return intent;
+    const deleted = [];
+    const changedIds = [];
+    netChanges.forEach((change, id) => {
+      if (!change.deleted) {
+        changedIds.push(id);
+      } else if (!change.isNew) {
+        // Items added and deleted within the window never reached the consumer
+        deleted.push({ id, deletedAt: change.time });
       }
-    }
+    });
 
-    // Statistics detection
-    if (query.includes('statistics') || query.includes('summary') || query.includes('how many') || query.includes('count')) {
-      intent.type = 'statistics';
-      return intent;
-    }
+    const items = await this.getItemsByIds(listTitle, changedIds);
+    const added = [];
+    const updated = [];
+    changedIds.forEach(id => {
+      const item = items.get(id);
+      if (!item) {
+        // Deleted after the last change we were given
+        deleted.push({ id, deletedAt: null });
+      } else if (netChanges.get(id).isNew) {
+        added.push(item);
+      } else {
+        updated.push(item);
+      }
+    });
+
+    return {
+      token: changes.length > 0 ? changes[changes.length - 1].ChangeToken.StringValue : token,
+      hasMore: changes.length === CHANGE_FETCH_LIMIT,
+      added,
+      updated,
+      deleted
+    };
+  }
 
-    // Specific file name detection
-    if (query.includes('venue research') || query.includes('conference checklist') || query.includes('event signage')) {
-      intent.type = 'file_by_name';
-      intent.term = query.includes('venue') ? 'Venue Research' :
-                    query.includes('conference') ? 'conference checklist' :
-                    query.includes('signage') ? 'Event signage' : query;
-      return intent;
+  /**
+   * Read items by id straight from SharePoint (uncached), in chunks
+   * Returns a Map of id -> item
+   */
+  async getItemsByIds(listTitle, ids) {
+    const items = new Map();
+    if (ids.length === 0) return items;
+
+    const list = await this.getListByTitle(listTitle);
+    // BaseType 1: document library
+    const fileFields = list.d.BaseType === 1 ? { select: FILE_SELECT, expand: FILE_EXPAND } : {};
+
+    for (let i = 0; i < ids.length; i += CHANGED_ITEMS_CHUNK) {
+      const chunk = ids.slice(i, i + CHANGED_ITEMS_CHUNK);
+      const endpoint = `${this.listEndpoint(listTitle)}/items` + odata.buildQuery({
+        filter: odata.or(chunk.map(id => odata.eq('Id', this.itemKey(id)))),
+        top: chunk.length,
+        ...fileFields
+      });
+      const data = await this.makeRequest('GET', endpoint);
+      data.d.results.forEach(item => items.set(item.Id, item));
     }
 
-    return intent;
+    return items;
   }
 
   /**
-   * Get list items (existing method)
+   * REST endpoint for a list's webhook subscriptions (or one of them)
    */
-  async getListItems(listTitle, options = {}) {
-    const { filter, select, top, skip, orderby } = options;
-    
-    let endpoint = `/_api/web/lists/getbytitle('${listTitle}')/items`;
-    const params = [];
+  subscriptionEndpoint(listTitle, subscriptionId) {
+    const endpoint = `${this.listEndpoint(listTitle)}/subscriptions`;
+    return subscriptionId ? `${endpoint}(${odata.pathLiteral(subscriptionId)})` : endpoint;
+  }
+
+  /**
+   * Get the webhook subscriptions of a list
+   */
+  async getSubscriptions(listTitle) {
+    return await this.makeRequest('GET', this.subscriptionEndpoint(listTitle));
+  }
 
-    if (filter) params.push(`$filter=${filter}`);
-    if (select) params.push(`$select=${select}`);
-    if (top) params.push(`$top=${top}`);
-    if (skip) params.push(`$skip=${skip}`);
-    if (orderby) params.push(`$orderby=${orderby}`);
+  /**
+   * Subscribe a notification URL to a list's changes
+   */
+  async createSubscription(listTitle, { notificationUrl, expirationDateTime, clientState }) {
+    const list = await this.getListByTitle(listTitle);
+    const formDigestValue = await this.getFormDigest();
 
-    if (params.length > 0) {
-      endpoint += `?${params.join('&')}`;
-    }
+    return await this.makeRequest(
+      'POST',
+      this.subscriptionEndpoint(listTitle),
+      {
+        resource: `${this.currentSite().siteUrl}/_api/web/lists('${list.d.Id}')`,
+        notificationUrl,
+        expirationDateTime,
+        clientState
+      },
+      {
+        headers: {
+          'X-RequestDigest': formDigestValue,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  }
+
+  /**
+   * Move a subscription's expiry (renewal)
+   */
+  async updateSubscription(listTitle, subscriptionId, expirationDateTime) {
+    const formDigestValue = await this.getFormDigest();
+
+    return await this.makeRequest(
+      'PATCH',
+      this.subscriptionEndpoint(listTitle, subscriptionId),
+      { expirationDateTime },
+      {
+        headers: {
+          'X-RequestDigest': formDigestValue,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  }
 
-    const cacheKey = `items_${listTitle}_${endpoint}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
+  /**
+   * Delete a webhook subscription
+   */
+  async deleteSubscription(listTitle, subscriptionId) {
+    const formDigestValue = await this.getFormDigest();
 
-    const data = await this.makeRequest('GET', endpoint);
-    dataCache.set(cacheKey, data);
-    return data;
+    return await this.makeRequest(
+      'DELETE',
+      this.subscriptionEndpoint(listTitle, subscriptionId),
+      null,
+      { headers: { 'X-RequestDigest': formDigestValue } }
+    );
   }
 
   /**
@@ -603,12 +1989,8 @@ class SharePointService {
    */
   async getItemById(listTitle, itemId) {
     const cacheKey = `item_${listTitle}_${itemId}`;
-    const cached = dataCache.get(cacheKey);
-    if (cached) return cached;
-
-    const data = await this.makeRequest('GET', `/_api/web/lists/getbytitle('${listTitle}')/items(${itemId})`);
-    dataCache.set(cacheKey, data);
-    return data;
+    const endpoint = `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})`;
+    return await this.getRevalidated(cacheKey, [this.listTag(listTitle)], endpoint);
   }
 
   /**
@@ -627,12 +2009,11 @@ class SharePointService {
     };
 
     // Get form digest for POST requests
-    const digestData = await this.makeRequest('POST', '/_api/contextinfo');
-    const formDigestValue = digestData.d.GetContextWebInformation.FormDigestValue;
+    const formDigestValue = await this.getFormDigest();
 
     const result = await this.makeRequest(
       'POST',
-      `/_api/web/lists/getbytitle('${listTitle}')/items`,
+      `${this.listEndpoint(listTitle)}/items`,
       data,
       {
         headers: {
@@ -642,7 +2023,7 @@ class SharePointService {
     );
 
     // Invalidate cache
-    dataCache.del(`items_${listTitle}_*`);
+    await this.invalidateList(listTitle);
     
     return result;
   }
@@ -650,15 +2031,13 @@ class SharePointService {
   /**
    * Update list item
    */
-  async updateItem(listTitle, itemId, itemData) {
+  async updateItem(listTitle, itemId, itemData, concurrency = {}) {
+    const etag = await this.itemWriteEtag(listTitle, itemId, concurrency);
+
     // Get list metadata
     const listInfo = await this.getListByTitle(listTitle);
     const listItemEntityTypeFullName = listInfo.d.ListItemEntityTypeFullName;
 
-    // Get current item to get etag
-    const currentItem = await this.getItemById(listTitle, itemId);
-    const etag = currentItem.d.__metadata.etag;
-
     const data = {
       __metadata: {
         type: listItemEntityTypeFullName
@@ -667,25 +2046,25 @@ class SharePointService {
     };
 
     // Get form digest
-    const digestData = await this.makeRequest('POST', '/_api/contextinfo');
-    const formDigestValue = digestData.d.GetContextWebInformation.FormDigestValue;
+    const formDigestValue = await this.getFormDigest();
 
     const result = await this.makeRequest(
       'POST',
-      `/_api/web/lists/getbytitle('${listTitle}')/items(${itemId})`,
+      `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})`,
       data,
       {
         headers: {
           'X-RequestDigest': formDigestValue,
           'X-HTTP-Method': 'MERGE',
-          'IF-MATCH': etag || '*'
+          'IF-MATCH': etag
         }
       }
-    );
+    ).catch(async error => {
+      throw await this.itemConflict(listTitle, itemId, error);
+    });
 
     // Invalidate cache
-    dataCache.del(`item_${listTitle}_${itemId}`);
-    dataCache.del(`items_${listTitle}_*`);
+    await this.invalidateList(listTitle);
 
     return result;
   }
@@ -693,58 +2072,534 @@ class SharePointService {
   /**
    * Delete list item
    */
-  async deleteItem(listTitle, itemId) {
-    // Get current item to get etag
-    const currentItem = await this.getItemById(listTitle, itemId);
-    const etag = currentItem.d.__metadata.etag;
+  async deleteItem(listTitle, itemId, concurrency = {}) {
+    const etag = await this.itemWriteEtag(listTitle, itemId, concurrency);
 
     // Get form digest
-    const digestData = await this.makeRequest('POST', '/_api/contextinfo');
-    const formDigestValue = digestData.d.GetContextWebInformation.FormDigestValue;
+    const formDigestValue = await this.getFormDigest();
 
     const result = await this.makeRequest(
       'POST',
-      `/_api/web/lists/getbytitle('${listTitle}')/items(${itemId})`,
+      `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})`,
       null,
       {
         headers: {
           'X-RequestDigest': formDigestValue,
           'X-HTTP-Method': 'DELETE',
-          'IF-MATCH': etag || '*'
+          'IF-MATCH': etag
         }
       }
-    );
+    ).catch(async error => {
+      throw await this.itemConflict(listTitle, itemId, error);
+    });
 
     // Invalidate cache
-    dataCache.del(`item_${listTitle}_${itemId}`);
-    dataCache.del(`items_${listTitle}_*`);
+    await this.invalidateList(listTitle);
 
     return result;
   }
 
+  /**
+   * Raw versions of a list item (field values by internal name)
+   */
+  async getRawItemVersions(listTitle, itemId) {
+    const endpoint = `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})/versions`;
+    const data = await this.makeRequest('GET', endpoint).catch(error => {
+      throw isNotFound(error) ? notFound(`Item ${itemId} not found in ${listTitle}`) : error;
+    });
+    return data.d.results;
+  }
+
+  /**
+   * Version history of a list item, newest first, shaped like getItemById
+   * items plus version label, editor, changed fields and (library items) size
+   */
+  async getItemVersions(listTitle, itemId) {
+    const [versions, fields] = await Promise.all([
+      this.getRawItemVersions(listTitle, itemId),
+      this.getListFields(listTitle)
+    ]);
+
+    // Library items: sizes come from the file's own version history
+    const fileRef = versions.find(version => version.FileRef)?.FileRef;
+    const sizes = fileRef
+      ? Object.fromEntries((await this.getFileVersions(fileRef)).map(version => [version.VersionId, version.Size]))
+      : {};
+
+    return shapeItemVersions(itemId, fields, versions, sizes);
+  }
+
+  async findItemVersion(listTitle, itemId, versionId) {
+    const versions = await this.getRawItemVersions(listTitle, itemId);
+    const version = versions.find(entry => entry.VersionId === versionId);
+    if (!version) throw notFound(`Version ${versionId} not found for item ${itemId} in ${listTitle}`);
+    return { version, versions };
+  }
+
+  /**
+   * Download one version of a document library item's file
+   */
+  async downloadItemVersion(listTitle, itemId, versionId) {
+    const { version } = await this.findItemVersion(listTitle, itemId, versionId);
+    if (!version.FileRef) throw badRequest(`Item ${itemId} in ${listTitle} has no file content`);
+    return await this.downloadFileVersion(version.FileRef, versionId);
+  }
+
+  /**
+   * Restore an earlier version of a list item. Library items restore the file
+   * version; other items get that version's field values written back, which
+   * honours the same If-Match/force rules as updateItem.
+   */
+  async restoreItemVersion(listTitle, itemId, versionId, concurrency = {}) {
+    const { version, versions } = await this.findItemVersion(listTitle, itemId, versionId);
+    if (version.IsCurrentVersion) throw badRequest(`Version ${version.VersionLabel} is already the current version`);
+
+    if (version.FileRef) {
+      const result = await this.restoreFileVersion(version.FileRef, versionId);
+      await this.invalidateList(listTitle, { files: true });
+      return { Id: itemId, ...result };
+    }
+
+    const fields = await this.getListFields(listTitle);
+    const current = versions.find(entry => entry.IsCurrentVersion) ||
+      versions.reduce((latest, entry) => (entry.VersionId > latest.VersionId ? entry : latest));
+    const payload = restorePayload(versionValues(fields, version), versionValues(fields, current));
+
+    if (Object.keys(payload).length > 0) {
+      await this.updateItem(listTitle, itemId, payload, concurrency);
+    }
+    logger.info('Item version restored', { listTitle, itemId, versionLabel: version.VersionLabel });
+
+    return {
+      Id: itemId,
+      restoredVersion: { VersionId: version.VersionId, VersionLabel: version.VersionLabel },
+      restoredFields: Object.keys(payload)
+    };
+  }
+
+  /**
+   * IF-MATCH value for an item write: the client's etag (If-Match), '*' when
+   * the client explicitly asks for last-write-wins with force, otherwise the
+   * item's current etag read past the cache (which may be stale)
+   */
+  async itemWriteEtag(listTitle, itemId, { ifMatch, force = false } = {}) {
+    if (force) return '*';
+    if (ifMatch) return ifMatch;
+
+    const current = await this.makeRequest(
+      'GET',
+      `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})` + odata.buildQuery({ select: ['Id'] })
+    );
+    return current.d.__metadata.etag;
+  }
+
+  /**
+   * Turn SharePoint's 412 on an item write into a conflict error carrying the
+   * item's current server version (read past the cache, which is now stale)
+   */
+  async itemConflict(listTitle, itemId, error) {
+    if (error.response?.status !== 412) return error;
+
+    await this.invalidateList(listTitle);
+    const current = await this.makeRequest('GET', `${this.listEndpoint(listTitle)}/items(${this.itemKey(itemId)})`);
+
+    const conflict = new Error('Item has been modified since the version given in If-Match');
+    conflict.status = 412;
+    conflict.current = current.d;
+    return conflict;
+  }
+
+  /**
+   * Create, update and delete items through OData $batch requests
+   * operations: [{ op: 'create'|'update'|'delete', id, data, etag, force }]
+   * Data is validated against the list's fields before anything is sent.
+   * Updates and deletes match etag, or the item's current etag when none is
+   * given (as itemWriteEtag); force makes one last-write-wins.
+   * With stopOnError, operations are sent one per request and processing
+   * stops at the first failure; operations never sent are reported as skipped.
+   * Returns one { index, op, id, status, error } per operation
+   */
+  async batchItems(listTitle, operations, { stopOnError = false } = {}) {
+    const listInfo = await this.getListByTitle(listTitle);
+    const listItemEntityTypeFullName = listInfo.d.ListItemEntityTypeFullName;
+    const itemsUrl = `${this.currentSite().siteUrl}${this.listEndpoint(listTitle)}/items`;
+
+    const results = [];
+    const pending = [];
+    let stopped = false;
+
+    // Validate everything up front so bad rows never reach SharePoint
+    for (const [index, operation] of operations.entries()) {
+      const { op, id, data, etag, force } = operation;
+      const result = { index, op, id: id || null };
+
+      let ifMatch = null;
+      if (op !== 'create') {
+        try {
+          ifMatch = await this.itemWriteEtag(listTitle, id, { ifMatch: etag, force });
+        } catch (error) {
+          results[index] = isNotFound(error)
+            ? { ...result, status: 404, error: 'Item not found' }
+            : { ...result, status: error.response?.status || error.status || 502, error: error.message };
+          continue;
+        }
+      }
+
+      if (op === 'delete') {
+        pending.push({ result, request: {
+          method: 'DELETE',
+          url: `${itemsUrl}(${this.itemKey(id)})`,
+          headers: { 'IF-MATCH': ifMatch }
+        } });
+        continue;
+      }
+
+      const { errors, value } = await this.validateItemData(listTitle, data, { partial: op === 'update' });
+      if (errors.length > 0) {
+        results[index] = { ...result, status: 400, error: 'Item data is invalid', errors };
+        continue;
+      }
+
+      const body = { __metadata: { type: listItemEntityTypeFullName }, ...value };
+      pending.push({ result, request: op === 'create'
+        ? { method: 'POST', url: itemsUrl, body }
+        : { method: 'PATCH', url: `${itemsUrl}(${this.itemKey(id)})`, headers: { 'IF-MATCH': ifMatch }, body } });
+    }
+
+    if (stopOnError && results.some(Boolean)) {
+      stopped = true;
+    }
+
+    const formDigestValue = pending.length > 0 && !stopped ? await this.getFormDigest() : null;
+    // Operations within one $batch all run, so stopping early needs one per request
+    const chunkSize = stopOnError ? 1 : config.batch.maxOperations;
+
+    for (let start = 0; start < pending.length; start += chunkSize) {
+      const chunk = pending.slice(start, start + chunkSize);
+
+      if (stopped) {
+        chunk.forEach(({ result }) => {
+          results[result.index] = { ...result, status: null, error: 'Skipped after an earlier failure' };
+        });
+        continue;
+      }
+
+      let responses;
+      try {
+        const { body, contentType } = buildBatchBody(chunk.map(({ request }) => request));
+        const response = await this.makeRequest('POST', '/_api/$batch', body, {
+          rawResponse: true,
+          responseType: 'text',
+          headers: {
+            'X-RequestDigest': formDigestValue,
+            'Content-Type': contentType
+          }
+        });
+        responses = parseBatchResponse(response.data, response.headers['content-type']);
+      } catch (error) {
+        // Earlier chunks are committed: report this one as failed and carry on
+        logger.error('Batch request failed', { listTitle, start, size: chunk.length, error: error.message });
+        chunk.forEach(({ result }) => {
+          results[result.index] = {
+            ...result,
+            status: error.response?.status || error.status || 502,
+            error: `Batch request failed: ${error.message}`
+          };
+        });
+        if (stopOnError) stopped = true;
+        continue;
+      }
+
+      chunk.forEach(({ result }, position) => {
+        const itemResponse = responses[position];
+        const status = itemResponse?.status || 500;
+        const failed = status >= 400;
+
+        results[result.index] = {
+          ...result,
+          id: result.id || itemResponse?.data?.d?.Id || null,
+          status,
+          error: failed
+            ? itemResponse?.data?.error?.message?.value || 'No response for operation'
+            : null
+        };
+
+        if (failed && stopOnError) stopped = true;
+      });
+    }
+
+    logger.info('Batch operations processed', {
+      listTitle,
+      total: operations.length,
+      failed: results.filter(result => result.status === null || result.status >= 400).length
+    });
+
+    // Invalidate cache
+    await this.invalidateList(listTitle);
+
+    return results;
+  }
+
+  /**
+   * Download file content as a stream
+   */
+  async downloadFile(fileUrl) {
+    return await this.streamFile(`${this.fileEndpoint(fileUrl)}/$value`, fileUrl.split('/').pop());
+  }
+
+  /**
+   * Stream a file content endpoint ($value)
+   */
+  async streamFile(endpoint, fileName) {
+    const response = await this.makeRequest('GET', endpoint, null, {
+      responseType: 'stream',
+      rawResponse: true,
+      headers: {
+        'Accept': '*/*'
+      }
+    });
+
+    return {
+      stream: response.data,
+      fileName,
+      contentType: response.headers['content-type'],
+      contentLength: response.headers['content-length']
+    };
+  }
+
+  /**
+   * Upload file content from a stream into a library or one of its folders
+   * Files up to one chunk are sent in a single request, larger files
+   * go through StartUpload/ContinueUpload/FinishUpload
+   */
+  async uploadFile(fileName, content, options = {}) {
+    const { libraryName = 'Documents', folderPath, overwrite = false } = options;
+
+    // The name and folder must keep the file inside the library the caller may write to
+    assertValidName(fileName);
+    const root = await this.getLibraryRootUrl(libraryName);
+    const folder = folderPath ? this.libraryFolderPath(libraryName, root, normalizePath(folderPath)) : root;
+    const target = `${folder}/${fileName}`;
+    const addEndpoint = (replace) =>
+      `${this.folderEndpoint(folder)}/Files/add(url=${odata.pathLiteral(fileName)},overwrite=${replace})`;
+
+    const formDigestValue = await this.getFormDigest();
+    const requestOptions = {
+      headers: {
+        'X-RequestDigest': formDigestValue,
+        'Content-Type': 'application/octet-stream'
+      }
+    };
+    const rethrowAsConflict = error => {
+      throw isAlreadyExists(error) ? conflict(`A file already exists at ${target}`) : error;
+    };
+
+    const chunks = readChunks(content, config.files.uploadChunkSize);
+    const first = await chunks.next();
+    const second = first.done ? first : await chunks.next();
+
+    // Whole file fits in one chunk
+    if (second.done) {
+      const body = first.done ? Buffer.alloc(0) : first.value;
+      const result = await this.makeRequest('POST', addEndpoint(Boolean(overwrite)), body, requestOptions)
+        .catch(rethrowAsConflict);
+      await this.invalidateList(libraryName, { files: true });
+      return result;
+    }
+
+    // An upload session on an existing file only replaces its content at
+    // FinishUpload, so a failed upload leaves it as it was. A new file gets an
+    // empty placeholder first, removed again if the upload fails.
+    const replacing = Boolean(overwrite) && await this.fileExists(target);
+    let placeholder = null;
+    if (!replacing) {
+      const created = await this.makeRequest('POST', addEndpoint(false), Buffer.alloc(0), requestOptions)
+        .catch(rethrowAsConflict);
+      placeholder = created.d.ServerRelativeUrl;
+    }
+
+    const fileEndpoint = this.fileEndpoint(placeholder || target);
+    const uploadId = crypto.randomUUID();
+
+    logger.info('Starting chunked file upload', { fileName, uploadId, replacing });
+
+    try {
+      await this.makeRequest(
+        'POST',
+        `${fileEndpoint}/StartUpload(uploadId=guid'${uploadId}')`,
+        first.value,
+        requestOptions
+      );
+
+      let offset = first.value.length;
+      let current = second.value;
+      let next = await chunks.next();
+
+      while (!next.done) {
+        await this.makeRequest(
+          'POST',
+          `${fileEndpoint}/ContinueUpload(uploadId=guid'${uploadId}',fileOffset=${offset})`,
+          current,
+          requestOptions
+        );
+        offset += current.length;
+        current = next.value;
+        next = await chunks.next();
+      }
+
+      const result = await this.makeRequest(
+        'POST',
+        `${fileEndpoint}/FinishUpload(uploadId=guid'${uploadId}',fileOffset=${offset})`,
+        current,
+        requestOptions
+      );
+
+      logger.info('Chunked file upload finished', { fileName, uploadId, size: offset + current.length });
+      await this.invalidateList(libraryName, { files: true });
+      return result;
+    } catch (error) {
+      logger.warn('Chunked file upload failed, cancelling upload session', { fileName, uploadId });
+      await this.makeRequest(
+        'POST',
+        `${fileEndpoint}/CancelUpload(uploadId=guid'${uploadId}')`,
+        null,
+        requestOptions
+      ).catch(() => {});
+
+      if (placeholder) {
+        await this.makeRequest('POST', fileEndpoint, null, {
+          headers: { 'X-RequestDigest': formDigestValue, 'X-HTTP-Method': 'DELETE', 'IF-MATCH': '*' }
+        }).catch(cleanupError => {
+          logger.error('Failed to remove the placeholder of a failed upload', { file: placeholder, error: cleanupError.message });
+        });
+        await this.invalidateList(libraryName, { files: true });
+      }
+      throw error;
+    }
+  }
+
   /**
    * Search SharePoint
+   * Options map to /_api/search/query parameters; sortlist and refiners are
+   * passed through as built by searchSite
    */
   async search(query, options = {}) {
-    const { selectproperties, rowlimit = 50, startrow = 0 } = options;
-    
-    let endpoint = `/_api/search/query?querytext='${encodeURIComponent(query)}'`;
-    endpoint += `&rowlimit=${rowlimit}&startrow=${startrow}`;
+    const {
+      selectproperties,
+      rowlimit = 50,
+      startrow = 0,
+      sortlist,
+      refiners,
+      querytemplate,
+      trimduplicates
+    } = options;
     
+    let endpoint = `/_api/search/query?querytext=${odata.pathLiteral(query)}`;
+    endpoint += `&rowlimit=${Number(rowlimit)}&startrow=${Number(startrow)}`;
+
     if (selectproperties) {
-      endpoint += `&selectproperties='${selectproperties}'`;
+      endpoint += `&selectproperties=${odata.pathLiteral(odata.fieldList(selectproperties).join(','))}`;
+    }
+    if (sortlist) {
+      endpoint += `&sortlist=${odata.pathLiteral(sortlist)}`;
+    }
+    if (refiners) {
+      endpoint += `&refiners=${odata.pathLiteral(refiners)}`;
+    }
+    if (querytemplate) {
+      endpoint += `&querytemplate=${odata.pathLiteral(querytemplate)}`;
+    }
+    if (trimduplicates !== undefined) {
+      endpoint += `&trimduplicates=${Boolean(trimduplicates)}`;
     }
 
     return await this.makeRequest('GET', endpoint);
   }
 
   /**
-   * Clear all caches
+   * Managed property for a friendly or managed name (validated)
+   */
+  searchProperty(name) {
+    return SEARCH_PROPERTIES[name] || odata.field(name);
+  }
+
+  /**
+   * Full-text KQL search with paging, sorting and refiners.
+   * scope 'site' restricts results to this site, 'tenant' searches everywhere.
+   * sort: [{ property, direction }]; refiners: property names (friendly or managed)
+   * Returns { totalRows, rowCount, rows, refiners, page, pageSize, hasMore }
+   */
+  async searchSite(query, options = {}) {
+    const {
+      scope = 'site',
+      page = 1,
+      pageSize = 25,
+      sort = [],
+      refiners = [],
+      select,
+      queryTemplate,
+      trimDuplicates
+    } = options;
+
+    // The site restriction lives in the query template, where {searchTerms}
+    // stands for the caller's whole query, so KQL in the query cannot lift it
+    const querytemplate = scope === 'tenant'
+      ? queryTemplate
+      : `(${queryTemplate || '{searchTerms}'}) path:"${this.currentSite().siteUrl}"`;
+
+    const sortlist = sort
+      .map(({ property, direction = 'desc' }) =>
+        `${this.searchProperty(property)}:${direction === 'asc' ? 'ascending' : 'descending'}`)
+      .join(',');
+
+    // Managed property -> caller's name, to label the refiners in the response
+    const refinerNames = {};
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const dateBuckets = [365, 30, 7, 1].map(days => new Date(now - days * dayMs).toISOString()).join('/');
+
+    const refinerSpecs = refiners.map(name => {
+      const property = this.searchProperty(name);
+      refinerNames[property] = name;
+      return DATE_SEARCH_PROPERTIES.includes(property)
+        ? `${property}(discretize=manual/${dateBuckets})`
+        : property;
+    });
+
+    const data = await this.search(query, {
+      selectproperties: select || DEFAULT_SEARCH_SELECT,
+      rowlimit: pageSize,
+      startrow: (page - 1) * pageSize,
+      sortlist: sortlist || undefined,
+      refiners: refinerSpecs.join(',') || undefined,
+      querytemplate,
+      trimduplicates: trimDuplicates
+    });
+
+    const results = shapeSearchResults(data, refinerNames);
+    return {
+      ...results,
+      page,
+      pageSize,
+      hasMore: (page - 1) * pageSize + results.rowCount < results.totalRows
+    };
+  }
+
+  /**
+   * Clear all caches, or only the cached data of one list
+   * Returns the number of data entries dropped (null for a full clear)
    */
-  clearCache() {
-    tokenCache.flushAll();
-    dataCache.flushAll();
+  async clearCache(listTitle) {
+    if (listTitle) {
+      const dropped = await this.invalidateList(listTitle, { files: true });
+      logger.info('List cache cleared', { listTitle, dropped });
+      return dropped;
+    }
+
+    await tokenCache.flush();
+    await dataCache.flush();
     logger.info('All caches cleared');
+    return null;
   }
 }
 
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/sharepoint.config');
+const logger = require('../utils/logger');
+const retryPolicy = require('../utils/retryPolicy');
+const CacheService = require('./cache.service');
+const sharepointService = require('./sharepoint.service');
+const { callbacksForList } = require('../config/webhooks.config');
+const { DEFAULT_SITE_ALIAS, findSite } = require('../config/sites.config');
+const { RedisSubscriptionStore, FileSubscriptionStore } = require('../utils/subscriptionStore');
+const RedisCache = require('../utils/redisCache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscription state (list, expiry, last change token): in Redis when one is
+// configured, so every instance sees it, otherwise in WEBHOOK_STATE_FILE
+const subscriptionStore = config.cache.redisUrl
+  ? new RedisSubscriptionStore(CacheService.redis(), { key: `${config.cache.keyPrefix}:webhooks:subscriptions` })
+  : new FileSubscriptionStore(config.webhooks.stateFile);
+
+// With Redis, several instances share the state: a per-subscription lock keeps
+// them from pulling the same changes or renewing the same subscription at once
+const subscriptionLocks = config.cache.redisUrl
+  ? new RedisCache(CacheService.redis(), { namespace: `${config.cache.keyPrefix}:webhooks` })
+  : null;
+
+// How often a waiting instance retries a held subscription lock
+const LOCK_RETRY_MS = 250;
+
+const subscriptionKey = (subscriptionId) => String(subscriptionId).toLowerCase();
+
+const notConfigured = () => {
+  const error = new Error('Webhooks are not configured (set WEBHOOK_NOTIFICATION_URL and WEBHOOK_CLIENT_STATE)');
+  error.status = 503;
+  return error;
+};
+
+const notFound = (subscriptionId) => {
+  const error = new Error(`Unknown webhook subscription: ${subscriptionId}`);
+  error.status = 404;
+  return error;
+};
+
+/**
+ * Constant-time comparison of a notification's clientState with ours
+ */
+const isOwnClientState = (clientState) => {
+  const expected = crypto.createHash('sha256').update(config.webhooks.clientState).digest();
+  const presented = crypto.createHash('sha256').update(String(clientState || '')).digest();
+  return crypto.timingSafeEqual(expected, presented);
+};
+
+/**
+ * SharePoint list webhooks: subscription management, notification handling
+ * (pull changes by change token, fan out to outbound callbacks) and renewal
+ */
+class WebhookService {
+  constructor() {
+    // Per-subscription processing chains, so change tokens advance in order
+    this.processing = new Map();
+    this.renewalTimer = null;
+  }
+
+  get enabled() {
+    return Boolean(config.webhooks.notificationUrl && config.webhooks.clientState);
+  }
+
+  assertEnabled() {
+    if (!this.enabled) throw notConfigured();
+  }
+
+  expirationFromNow(days = config.webhooks.expirationDays) {
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+
+  async getState(subscriptionId) {
+    return await subscriptionStore.get(subscriptionKey(subscriptionId));
+  }
+
+  async saveState(state) {
+    await subscriptionStore.save(subscriptionKey(state.id), state);
+  }
+
+  /**
+   * Run SharePoint calls for a subscription against the site it was created on
+   */
+  async inSite(state, work) {
+    const site = findSite(state.site || DEFAULT_SITE_ALIAS);
+    if (!site) {
+      const error = new Error(`Webhook subscription ${state.id} belongs to an unknown site: ${state.site}`);
+      error.status = 409;
+      throw error;
+    }
+    return await sharepointService.withSite(site, work);
+  }
+
+  /**
+   * Run work holding the subscription's lock across instances (Redis only;
+   * within one process enqueue() already runs a subscription's work in order).
+   * With `wait`, retries until the lock is free, else returns null when it is held.
+   */
+  async withSubscriptionLock(subscriptionId, work, { wait = true } = {}) {
+    if (!subscriptionLocks) return await work();
+
+    const key = subscriptionKey(subscriptionId);
+    const deadline = Date.now() + config.webhooks.lockTimeoutMs;
+    let release = await subscriptionLocks.lock(key, config.webhooks.lockTimeoutMs);
+
+    while (!release && wait && Date.now() < deadline) {
+      await retryPolicy.sleep(LOCK_RETRY_MS);
+      release = await subscriptionLocks.lock(key, config.webhooks.lockTimeoutMs);
+    }
+
+    if (!release) {
+      if (!wait) return null;
+      const error = new Error(`Webhook subscription ${subscriptionId} is busy on another instance`);
+      error.status = 503;
+      throw error;
+    }
+
+    try {
+      return await work();
+    } finally {
+      await release().catch(() => {});
+    }
+  }
+
+  async removeState(subscriptionId) {
+    await subscriptionStore.remove(subscriptionKey(subscriptionId));
+  }
+
+  /**
+   * Subscribe to a list. The current change token is taken first so the
+   * first notification delivers everything changed after this call.
+   */
+  async createSubscription(listTitle, { expirationDays } = {}) {
+    this.assertEnabled();
+
+    const { token } = await sharepointService.getListChanges(listTitle);
+    const data = await sharepointService.createSubscription(listTitle, {
+      notificationUrl: config.webhooks.notificationUrl,
+      expirationDateTime: this.expirationFromNow(expirationDays),
+      clientState: config.webhooks.clientState
+    });
+
+    const subscription = data.d;
+    await this.saveState({
+      id: subscription.id,
+      site: sharepointService.currentSite().alias,
+      listTitle,
+      expirationDateTime: subscription.expirationDateTime,
+      changeToken: token
+    });
+
+    logger.info('Webhook subscription created', { listTitle, subscriptionId: subscription.id });
+    return subscription;
+  }
+
+  /**
+   * A list's subscriptions as SharePoint reports them
+   */
+  async listSubscriptions(listTitle) {
+    const data = await sharepointService.getSubscriptions(listTitle);
+    return data.d.results;
+  }
+
+  /**
+   * Push a subscription's expiry out again (max 180 days from now).
+   * With wait: false, returns null if another instance is working on it.
+   */
+  async renewSubscription(subscriptionId, { expirationDays, wait = true } = {}) {
+    const state = await this.getState(subscriptionId);
+    if (!state) throw notFound(subscriptionId);
+
+    return await this.withSubscriptionLock(subscriptionId, async () => {
+      const expirationDateTime = this.expirationFromNow(expirationDays);
+      await this.inSite(state, () => sharepointService.updateSubscription(state.listTitle, state.id, expirationDateTime));
+
+      // Re-read, since notifications may have moved the change token meanwhile
+      const current = (await this.getState(subscriptionId)) || state;
+      await this.saveState({ ...current, expirationDateTime });
+
+      logger.info('Webhook subscription renewed', { listTitle: state.listTitle, subscriptionId, expirationDateTime });
+      return { id: state.id, listTitle: state.listTitle, expirationDateTime };
+    }, { wait });
+  }
+
+  async deleteSubscription(subscriptionId) {
+    const state = await this.getState(subscriptionId);
+    if (!state) throw notFound(subscriptionId);
+
+    try {
+      await this.inSite(state, () => sharepointService.deleteSubscription(state.listTitle, state.id));
+    } catch (error) {
+      // Already gone on the SharePoint side: just forget it
+      if (error.response?.status !== 404) throw error;
+    }
+
+    await this.removeState(state.id);
+    logger.info('Webhook subscription deleted', { listTitle: state.listTitle, subscriptionId });
+  }
+
+  /**
+   * Accept a notification batch from SharePoint. Notifications without our
+   * clientState are dropped; the rest are processed in the background since
+   * SharePoint expects an answer within seconds.
+   * Returns the number of notifications accepted.
+   */
+  acceptNotifications(notifications) {
+    const accepted = notifications.filter(notification => isOwnClientState(notification.clientState));
+
+    if (accepted.length < notifications.length) {
+      logger.warn('Dropped webhook notifications with an invalid clientState', {
+        dropped: notifications.length - accepted.length
+      });
+    }
+
+    // One pull per subscription covers every notification it sent
+    const subscriptionIds = [...new Set(accepted.map(notification => notification.subscriptionId))];
+    subscriptionIds.forEach(subscriptionId => this.enqueue(subscriptionId));
+
+    return accepted.length;
+  }
+
+  enqueue(subscriptionId) {
+    const previous = this.processing.get(subscriptionId) || Promise.resolve();
+    const next = previous
+      .then(() => this.processSubscription(subscriptionId))
+      .catch(error => {
+        logger.error('Failed to process webhook notification', { subscriptionId, error: error.message });
+      })
+      .finally(() => {
+        if (this.processing.get(subscriptionId) === next) this.processing.delete(subscriptionId);
+      });
+
+    this.processing.set(subscriptionId, next);
+    return next;
+  }
+
+  /**
+   * Pull every change since the stored token and deliver it to the callbacks.
+   * Another instance processing the same subscription is waited for, so the
+   * changes are read from the token it saved rather than pulled twice.
+   */
+  async processSubscription(subscriptionId) {
+    await this.withSubscriptionLock(subscriptionId, () => this.pullChanges(subscriptionId));
+  }
+
+  async pullChanges(subscriptionId) {
+    const state = await this.getState(subscriptionId);
+    if (!state) {
+      logger.warn('Notification for an unknown webhook subscription ignored', { subscriptionId });
+      return;
+    }
+
+    let { changeToken } = state;
+    let hasMore = true;
+
+    while (hasMore) {
+      const changes = await this.inSite(state, () => sharepointService.getListChanges(state.listTitle, changeToken));
+      hasMore = changes.hasMore;
+
+      if (changes.added.length + changes.updated.length + changes.deleted.length > 0) {
+        await this.deliver(state, changes);
+      }
+
+      changeToken = changes.token;
+      const current = (await this.getState(subscriptionId)) || state;
+      await this.saveState({ ...current, changeToken });
+    }
+  }
+
+  /**
+   * Send a change set to every callback registered for the list
+   */
+  async deliver(state, changes) {
+    const callbacks = callbacksForList(state.listTitle);
+    if (callbacks.length === 0) return;
+
+    const payload = JSON.stringify({
+      event: 'list.changed',
+      subscriptionId: state.id,
+      site: state.site || DEFAULT_SITE_ALIAS,
+      list: state.listTitle,
+      token: changes.token,
+      added: changes.added,
+      updated: changes.updated,
+      deleted: changes.deleted,
+      sentAt: new Date().toISOString()
+    });
+
+    await Promise.all(callbacks.map(callback => this.sendToCallback(callback, payload)));
+  }
+
+  /**
+   * POST a payload to one callback, retrying throttling and transient failures.
+   * Deliveries that still fail are logged; consumers can catch up through
+   * GET /api/lists/:listTitle/changes.
+   */
+  async sendToCallback(callback, payload) {
+    const deliveryId = crypto.randomUUID();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': 'list.changed',
+      'X-Webhook-Delivery': deliveryId
+    };
+
+    if (callback.secret) {
+      const signature = crypto.createHmac('sha256', callback.secret).update(payload).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await axios.post(callback.url, payload, { headers, timeout: config.webhooks.callbackTimeoutMs });
+        logger.debug('Webhook delivered', { callback: callback.name, deliveryId, attempt });
+        return;
+      } catch (error) {
+        if (retryPolicy.isRetryable(error) && attempt < config.webhooks.callbackMaxAttempts) {
+          const delay = retryPolicy.retryDelay(error, attempt);
+          logger.warn('Webhook delivery failed, retrying', {
+            callback: callback.name,
+            deliveryId,
+            status: error.response?.status,
+            attempt,
+            delayMs: delay
+          });
+          await retryPolicy.sleep(delay);
+          continue;
+        }
+
+        logger.error('Webhook delivery failed', {
+          callback: callback.name,
+          deliveryId,
+          status: error.response?.status,
+          error: error.message,
+          attempts: attempt
+        });
+        return;
+      }
+    }
+  }
+
+  /**
+   * Renew every stored subscription that expires within WEBHOOK_RENEW_BEFORE_DAYS
+   */
+  async renewExpiring() {
+    const index = await subscriptionStore.ids();
+    const renewBefore = Date.now() + config.webhooks.renewBeforeDays * DAY_MS;
+
+    for (const subscriptionId of index) {
+      const state = await this.getState(subscriptionId);
+      if (!state || Date.parse(state.expirationDateTime) > renewBefore) continue;
+
+      try {
+        // Busy elsewhere: that instance holds it, and the next run retries
+        const renewed = await this.renewSubscription(subscriptionId, { wait: false });
+        if (!renewed) logger.debug('Webhook subscription busy, renewal skipped', { subscriptionId });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          logger.warn('Webhook subscription no longer exists, forgetting it', { subscriptionId });
+          await this.removeState(subscriptionId);
+          continue;
+        }
+        logger.error('Failed to renew webhook subscription', { subscriptionId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Start the background renewal loop (no-op when webhooks are not configured)
+   */
+  startRenewalScheduler() {
+    if (!this.enabled || this.renewalTimer) return;
+
+    const run = () => this.renewExpiring().catch(error => {
+      logger.error('Webhook renewal run failed', { error: error.message });
+    });
+
+    this.renewalTimer = setInterval(run, config.webhooks.renewIntervalMs);
+    // Never keep the process alive just for renewals
+    this.renewalTimer.unref();
+    run();
+
+    logger.info('Webhook renewal scheduler started', { intervalMs: config.webhooks.renewIntervalMs });
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,56 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+
+let sharepoint;
+let service;
+
+test.before(async () => {
+  sharepoint = await useMockSharePoint();
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+test.beforeEach(async () => {
+  sharepoint.reset();
+  await service.clearCache();
+  sharepoint.on(request => (/getbytitle\('Tasks'\)$/.test(request.path)
+    ? { body: { d: { Title: 'Tasks', ListItemEntityTypeFullName: 'SP.Data.TasksListItem' } } }
+    : undefined));
+});
+
+/**
+ * IF-MATCH header of every operation in the last $batch request, in order
+ */
+const sentIfMatch = () => {
+  const batch = sharepoint.requests.filter(request => request.path.endsWith('/_api/$batch')).pop();
+  return [...batch.body.matchAll(/^IF-MATCH: (.*)$/gm)].map(match => match[1].trim());
+};
+
+test('batch updates and deletes without an etag match the item\'s current etag', async () => {
+  sharepoint.on(request => {
+    const match = /getbytitle\('Tasks'\)\/items\((\d+)\)\?/.exec(request.path);
+    if (!match) return undefined;
+    return match[1] === '4'
+      ? { status: 404, body: { error: { message: { value: 'Item does not exist' } } } }
+      : { body: { d: { __metadata: { etag: `"${match[1]}0"` }, Id: Number(match[1]) } } };
+  });
+
+  const results = await service.batchItems('Tasks', [
+    { op: 'delete', id: 1, etag: '"3"' },
+    { op: 'delete', id: 2 },
+    { op: 'delete', id: 3, force: true },
+    { op: 'delete', id: 4 }
+  ]);
+
+  assert.deepEqual(sentIfMatch(), ['"3"', '"20"', '*']);
+  assert.deepEqual(results[3], { index: 3, op: 'delete', id: 4, status: 404, error: 'Item not found' });
+
+  // Only the operation without etag or force looks the item up
+  const lookups = sharepoint.requests.filter(request => /\/items\(\d+\)\?/.test(request.path));
+  assert.deepEqual(lookups.map(request => /items\((\d+)\)/.exec(request.path)[1]), ['2', '4']);
+});
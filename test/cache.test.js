@@ -0,0 +1,169 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+const TaggedCache = require('../utils/taggedCache');
+
+let sharepoint;
+let service;
+
+test.before(async () => {
+  sharepoint = await useMockSharePoint();
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+test.beforeEach(async () => {
+  sharepoint.reset();
+  await service.clearCache();
+  sharepoint.on(request => (/getbytitle\('Tasks'\)$/.test(request.path)
+    ? { body: { d: { Id: 'list-1', ListItemEntityTypeFullName: 'SP.Data.TasksListItem' } } }
+    : undefined));
+});
+
+const itemReads = () => sharepoint.requests.filter(request =>
+  request.method === 'GET' && /getbytitle\('Tasks'\)\/items/.test(request.path)).length;
+
+test('TaggedCache drops every entry carrying an invalidated tag', async () => {
+  const cache = new TaggedCache({ stdTTL: 60 });
+  await cache.set('a', 1, { tags: ['list:tasks'] });
+  await cache.set('b', 2, { tags: ['list:tasks', 'site'] });
+  await cache.set('c', 3, { tags: ['list:docs'] });
+
+  assert.equal(await cache.invalidateTags(['list:tasks']), 2);
+  assert.equal(await cache.get('a'), undefined);
+  assert.equal(await cache.get('b'), undefined);
+  assert.equal(await cache.get('c'), 3);
+});
+
+test('TaggedCache forgets old tags when a key is written again', async () => {
+  const cache = new TaggedCache({ stdTTL: 60 });
+  await cache.set('a', 1, { tags: ['old'] });
+  await cache.set('a', 2, { tags: ['new'] });
+
+  assert.equal(await cache.invalidateTags(['old']), 0);
+  assert.equal(await cache.get('a'), 2);
+});
+
+test('list reads are cached until an item is created', async () => {
+  sharepoint.on(request => (request.method === 'POST' && /\/items$/.test(request.path)
+    ? { status: 201, body: { d: { Id: 3 } } }
+    : undefined));
+
+  await service.getListItems('Tasks');
+  await service.getListItems('Tasks');
+  assert.equal(itemReads(), 1, 'second read should come from the cache');
+
+  await service.createItem('Tasks', { Title: 'New' });
+  await service.getListItems('Tasks');
+  assert.equal(itemReads(), 2, 'read after the write should go to SharePoint');
+});
+
+test('an item read after an update is fresh', async () => {
+  let title = 'Before';
+  sharepoint.on(request => {
+    if (!/items\(1\)$/.test(request.path)) return undefined;
+    if (request.method === 'POST') {
+      title = JSON.parse(request.body).Title;
+      return { status: 204 };
+    }
+    return { body: { d: { Id: 1, Title: title, __metadata: { etag: `"${title}"` } } } };
+  });
+
+  assert.equal((await service.getItemById('Tasks', 1)).d.Title, 'Before');
+  assert.equal((await service.getItemById('Tasks', 1)).d.Title, 'Before');
+  assert.equal(itemReads(), 1);
+
+  await service.updateItem('Tasks', 1, { Title: 'After' }, { force: true });
+
+  assert.equal((await service.getItemById('Tasks', 1)).d.Title, 'After');
+  assert.equal(itemReads(), 2);
+});
+
+test('deleting an item drops cached reads of the list', async () => {
+  sharepoint.on(request => (request.method === 'POST' && /items\(2\)$/.test(request.path)
+    ? { status: 200 }
+    : undefined));
+
+  await service.getListItems('Tasks');
+  await service.deleteItem('Tasks', 2, { force: true });
+  await service.getListItems('Tasks');
+
+  assert.equal(itemReads(), 2);
+});
+
+test('a write without If-Match uses the item\'s current etag, not the cached one', async () => {
+  let version = 1;
+  sharepoint.on(request => {
+    if (!/items\(4\)(\?.*)?$/.test(request.path)) return undefined;
+    if (request.method === 'POST') return { status: 204 };
+    return { body: { d: { Id: 4, Title: 'Task', __metadata: { etag: `"${version}"` } } } };
+  });
+
+  await service.getItemById('Tasks', 4);
+  version = 2;
+
+  await service.updateItem('Tasks', 4, { Title: 'Edited' });
+  const write = sharepoint.requests.find(request => request.method === 'POST' && /items\(4\)$/.test(request.path));
+  assert.equal(write.headers['if-match'], '"2"');
+});
+
+test('a read in flight during a write is not cached', async () => {
+  let title = 'Before';
+  sharepoint.on(request => {
+    if (request.method === 'POST' && /\/items$/.test(request.path)) {
+      title = 'After';
+      return { status: 201, body: { d: { Id: 5 } } };
+    }
+    if (request.method === 'GET' && /getbytitle\('Tasks'\)\/items(\?|$)/.test(request.path)) {
+      // Answered as it was when the read started, well after the write
+      const answer = title;
+      return { delay: 200, body: { d: { results: [{ Id: 1, Title: answer }] } } };
+    }
+    return undefined;
+  });
+
+  const overlapping = service.getListItems('Tasks');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await service.createItem('Tasks', { Title: 'New' });
+
+  assert.equal((await overlapping).d.results[0].Title, 'Before');
+  assert.equal((await service.getListItems('Tasks')).d.results[0].Title, 'After');
+  assert.equal(itemReads(), 2);
+});
+
+test('TaggedCache generations change on tag invalidation and flush only', async () => {
+  const cache = new TaggedCache({ stdTTL: 60 });
+  const before = await cache.generation(['list:tasks']);
+
+  await cache.invalidateTags(['list:docs']);
+  assert.equal(await cache.generation(['list:tasks']), before);
+
+  await cache.invalidateTags(['list:tasks']);
+  const invalidated = await cache.generation(['list:tasks']);
+  assert.notEqual(invalidated, before);
+
+  await cache.flush();
+  assert.notEqual(await cache.generation(['list:tasks']), invalidated);
+});
+
+test('withLock runs read-modify-write updates of one key one at a time', async () => {
+  const CacheService = require('../services/cache.service');
+  const jobs = new CacheService('lockedJobs', { stdTTL: 60, shared: true });
+  await jobs.set('job', { errors: [] });
+
+  const append = (error) => jobs.withLock('job', async () => {
+    const job = await jobs.get('job');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await jobs.set('job', { errors: [...job.errors, error] });
+  });
+
+  const failing = jobs.withLock('job', async () => { throw new Error('poll failed'); });
+  await Promise.all([append('a'), assert.rejects(failing, /poll failed/), append('b'), append('c')]);
+
+  assert.deepEqual((await jobs.get('job')).errors, ['a', 'b', 'c']);
+  assert.equal(jobs.updating.size, 0);
+});
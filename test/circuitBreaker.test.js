@@ -0,0 +1,70 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const opened = () => {
+  const breaker = new CircuitBreaker('Test', { failureThreshold: 2, cooldownMs: 50 });
+  breaker.recordFailure();
+  breaker.recordFailure();
+  return breaker;
+};
+
+test('opens after the threshold of consecutive throttled responses', () => {
+  const breaker = new CircuitBreaker('Test', { failureThreshold: 2, cooldownMs: 5000 });
+  breaker.recordFailure();
+  assert.equal(breaker.assertClosed(), false);
+
+  breaker.recordFailure();
+  assert.throws(() => breaker.assertClosed(), { status: 503, retryAfter: 5 });
+});
+
+test('a success resets the failure count', () => {
+  const breaker = new CircuitBreaker('Test', { failureThreshold: 2, cooldownMs: 5000 });
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.assertClosed(), false);
+});
+
+test('Retry-After longer than the cooldown keeps the circuit open longer', () => {
+  const breaker = new CircuitBreaker('Test', { failureThreshold: 1, cooldownMs: 1000 });
+  breaker.recordFailure(30000);
+  assert.throws(() => breaker.assertClosed(), { retryAfter: 30 });
+});
+
+test('after the cooldown one probe goes through while the others fail fast', async () => {
+  const breaker = opened();
+  await sleep(60);
+
+  assert.equal(breaker.assertClosed(), true);
+  assert.throws(() => breaker.assertClosed(), { status: 503, retryAfter: 1 });
+
+  breaker.recordSuccess();
+  assert.equal(breaker.assertClosed(), false);
+  assert.equal(breaker.assertClosed(), false);
+});
+
+test('a throttled probe reopens the circuit for another cooldown', async () => {
+  const breaker = opened();
+  await sleep(60);
+
+  assert.equal(breaker.assertClosed(), true);
+  breaker.recordFailure();
+  assert.throws(() => breaker.assertClosed(), { status: 503 });
+
+  await sleep(60);
+  assert.equal(breaker.assertClosed(), true);
+});
+
+test('a released probe lets the next request probe', async () => {
+  const breaker = opened();
+  await sleep(60);
+
+  assert.equal(breaker.assertClosed(), true);
+  breaker.releaseProbe();
+  assert.equal(breaker.assertClosed(), true);
+  assert.throws(() => breaker.assertClosed(), { status: 503 });
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { entityValidators, listValidators } = require('../utils/conditionalGet');
+
+const list = {
+  __metadata: { etag: '"5"' },
+  Title: 'Tasks',
+  ItemCount: 3,
+  LastItemModifiedDate: '2024-05-01T10:00:00Z'
+};
+
+test('entityValidators uses the OData etag and the modified field', () => {
+  const { etag, lastModified } = entityValidators({ __metadata: { etag: '"2"' }, Modified: '2024-05-01T10:00:00Z' }, 'Modified');
+  assert.equal(etag, '"2"');
+  assert.equal(lastModified.toISOString(), '2024-05-01T10:00:00.000Z');
+});
+
+test('listValidators is stable while the list is unchanged', () => {
+  assert.equal(listValidators(list).etag, listValidators({ ...list }).etag);
+  assert.match(listValidators(list).etag, /^W\/".+"$/);
+  assert.equal(listValidators(list).lastModified.toISOString(), '2024-05-01T10:00:00.000Z');
+});
+
+test('listValidators changes when items change but the list etag does not', () => {
+  const { etag } = listValidators(list);
+  assert.notEqual(listValidators({ ...list, LastItemModifiedDate: '2024-05-01T11:00:00Z' }).etag, etag);
+  // A delete leaves LastItemModifiedDate alone but lowers ItemCount
+  assert.notEqual(listValidators({ ...list, ItemCount: 2 }).etag, etag);
+  assert.notEqual(listValidators({ ...list, __metadata: { etag: '"6"' } }).etag, etag);
+});
@@ -0,0 +1,174 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  ClientSecretCredential,
+  CertificateCredential,
+  createClientAssertion
+} = require('../services/credentials.service');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const THUMBPRINT_HEX = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+/**
+ * Check an RS256 JWT against the test key; returns { header, payload }
+ */
+const verifyJwt = (token) => {
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${header}.${payload}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  assert.ok(valid, 'assertion signature does not verify');
+  return { header: decodePart(header), payload: decodePart(payload) };
+};
+
+/**
+ * Local token endpoint recording each form post and answering with `reply`
+ */
+const startTokenServer = (reply = () => ({ status: 200, body: { access_token: 'token-1', expires_in: '3599' } })) =>
+  new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = Object.fromEntries(new URLSearchParams(body));
+        requests.push({ path: req.url, contentType: req.headers['content-type'], form });
+
+        const { status, body: payload } = reply(form);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/tenant/oauth2/v2.0/token` });
+    });
+  });
+
+const writeKey = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-test-'));
+  const keyPath = path.join(dir, 'key.pem');
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return keyPath;
+};
+
+test('createClientAssertion signs an RS256 JWT with x5t, aud and a short expiry', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const token = createClientAssertion({
+    clientId: 'client-1',
+    audience: 'https://login.example/token',
+    thumbprint: 'thumb',
+    privateKey,
+    now
+  });
+
+  const { header, payload } = verifyJwt(token);
+  assert.deepEqual(header, { alg: 'RS256', typ: 'JWT', x5t: 'thumb' });
+  assert.equal(payload.aud, 'https://login.example/token');
+  assert.equal(payload.iss, 'client-1');
+  assert.equal(payload.sub, 'client-1');
+  assert.equal(payload.iat, now / 1000);
+  assert.equal(payload.nbf, now / 1000);
+  assert.equal(payload.exp, now / 1000 + 600);
+  assert.match(payload.jti, /^[0-9a-f-]{36}$/);
+});
+
+test('certificate credentials post a verifiable client assertion to the token endpoint', async (t) => {
+  const endpoint = await startTokenServer();
+  t.after(() => endpoint.server.close());
+
+  const credential = new CertificateCredential({
+    clientId: 'client-1',
+    tokenVersion: 'v2',
+    tokenEndpoint: endpoint.url,
+    scope: 'https://contoso.sharepoint.com/.default',
+    privateKeyPath: writeKey(),
+    certificateThumbprint: THUMBPRINT_HEX
+  });
+
+  const before = Math.floor(Date.now() / 1000);
+  const token = await credential.getAppToken();
+  assert.deepEqual(token, { accessToken: 'token-1', expiresIn: 3599 });
+
+  const [{ form, contentType }] = endpoint.requests;
+  assert.equal(contentType, 'application/x-www-form-urlencoded');
+  assert.equal(form.grant_type, 'client_credentials');
+  assert.equal(form.client_id, 'client-1');
+  assert.equal(form.scope, 'https://contoso.sharepoint.com/.default');
+  assert.equal(form.client_assertion_type, 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+  assert.equal(form.client_secret, undefined);
+
+  const { header, payload } = verifyJwt(form.client_assertion);
+  assert.equal(header.x5t, Buffer.from(THUMBPRINT_HEX, 'hex').toString('base64url'));
+  assert.equal(payload.aud, endpoint.url);
+  assert.ok(payload.exp > before && payload.exp <= before + 601);
+});
+
+test('on-behalf-of requests carry the user assertion and a fresh client assertion', async (t) => {
+  const endpoint = await startTokenServer();
+  t.after(() => endpoint.server.close());
+
+  const credential = new CertificateCredential({
+    clientId: 'client-1',
+    tokenVersion: 'v2',
+    tokenEndpoint: endpoint.url,
+    scope: 'https://contoso.sharepoint.com/.default',
+    privateKeyPath: writeKey(),
+    certificateThumbprint: THUMBPRINT_HEX
+  });
+
+  await credential.getOnBehalfOfToken('user.jwt.token');
+  await credential.getOnBehalfOfToken('user.jwt.token');
+
+  const [first, second] = endpoint.requests.map(request => request.form);
+  assert.equal(first.grant_type, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+  assert.equal(first.assertion, 'user.jwt.token');
+  assert.equal(first.requested_token_use, 'on_behalf_of');
+  assert.notEqual(verifyJwt(first.client_assertion).payload.jti, verifyJwt(second.client_assertion).payload.jti);
+});
+
+test('client secret credentials send the secret and a v1 resource', async (t) => {
+  const endpoint = await startTokenServer();
+  t.after(() => endpoint.server.close());
+
+  const credential = new ClientSecretCredential({
+    clientId: 'client-1',
+    clientSecret: 'shh',
+    tokenVersion: 'v1',
+    tokenEndpoint: endpoint.url,
+    resource: 'https://contoso.sharepoint.com'
+  });
+
+  await credential.getAppToken();
+
+  const [{ form }] = endpoint.requests;
+  assert.equal(form.client_secret, 'shh');
+  assert.equal(form.resource, 'https://contoso.sharepoint.com');
+  assert.equal(form.scope, undefined);
+  assert.equal(form.client_assertion, undefined);
+});
+
+test('token endpoint errors reject the token request', async (t) => {
+  const endpoint = await startTokenServer(() => ({ status: 400, body: { error: 'invalid_client' } }));
+  t.after(() => endpoint.server.close());
+
+  const credential = new ClientSecretCredential({
+    clientId: 'client-1',
+    clientSecret: 'wrong',
+    tokenVersion: 'v1',
+    tokenEndpoint: endpoint.url,
+    resource: 'https://contoso.sharepoint.com'
+  });
+
+  await assert.rejects(credential.getAppToken(), error => error.response?.status === 400);
+});
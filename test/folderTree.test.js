@@ -0,0 +1,69 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+
+const ROOT = '/sites/test/Shared Documents';
+
+let sharepoint;
+let service;
+let config;
+
+test.before(async () => {
+  process.env.FOLDER_TREE_CONCURRENCY = '3';
+  sharepoint = await useMockSharePoint();
+  config = require('../config/sharepoint.config');
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+const folder = (path, itemCount = 0) => ({
+  Name: path.split('/').pop(),
+  ServerRelativeUrl: path,
+  ItemCount: itemCount,
+  TimeLastModified: '2024-05-01T10:00:00Z'
+});
+
+test('folder trees select only folders and keep folder requests under the limit', async () => {
+  // Root: Forms, 8 folders and 3 files; each folder: 2 subfolders and 1 file
+  const subfolders = (path) => (path === ROOT
+    ? ['Forms', ...Array.from({ length: 8 }, (_, i) => `F${i}`)]
+    : ['A', 'B']).map(name => folder(`${path}/${name}`, 3));
+
+  let inFlight = 0;
+  let peak = 0;
+  sharepoint.on(request => {
+    if (/getbytitle\('Documents'\)\/RootFolder/.test(request.path)) return { body: { d: { ServerRelativeUrl: ROOT } } };
+
+    const match = /GetFolderByServerRelativeUrl\('(.*?)'\)/.exec(request.path);
+    if (!match) return undefined;
+
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    setTimeout(() => inFlight--, 25);
+
+    const children = subfolders(match[1]);
+    return { delay: 25, body: { d: { ...folder(match[1], children.length + (match[1] === ROOT ? 3 : 1)), Folders: { results: children } } } };
+  });
+
+  const tree = await service.getFolderTree('Documents', 2);
+
+  assert.equal(config.discovery.folderTreeConcurrency, 3);
+  assert.equal(peak, 3);
+
+  const folderRequests = sharepoint.requests.filter(request => request.path.includes('GetFolderByServerRelativeUrl'));
+  assert.equal(folderRequests.length, 9);
+  for (const request of folderRequests) {
+    assert.match(request.path, /\$expand=Folders(&|$)/);
+    assert.doesNotMatch(request.path, /Files/);
+  }
+
+  assert.equal(tree.fileCount, 3);
+  assert.deepEqual(tree.children.map(child => child.name), Array.from({ length: 8 }, (_, i) => `F${i}`));
+  assert.equal(tree.children[0].fileCount, 1);
+  assert.deepEqual(tree.children[0].children.map(child => child.name), ['A', 'B']);
+  assert.equal(tree.children[0].children[0].children, null);
+});
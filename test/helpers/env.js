@@ -0,0 +1,18 @@
+// Settings config/sharepoint.config.js needs to load, fixed so a local .env
+// cannot change what the tests run against
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  SHAREPOINT_TENANT_ID: 'test-tenant',
+  SHAREPOINT_CLIENT_ID: 'test-client',
+  SHAREPOINT_CLIENT_SECRET: 'test-secret',
+  SHAREPOINT_CREDENTIAL_TYPE: 'secret',
+  SHAREPOINT_SITE_URL: 'http://127.0.0.1:1/sites/test',
+  API_KEY: 'test-api-key',
+  CACHE_BACKEND: 'memory'
+});
+
+delete process.env.REDIS_URL;
+delete process.env.API_KEYS_FILE;
+delete process.env.SHAREPOINT_SITES_FILE;
+delete process.env.WEBHOOK_NOTIFICATION_URL;
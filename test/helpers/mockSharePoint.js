@@ -0,0 +1,59 @@
+const http = require('http');
+
+/**
+ * Local stand-in for SharePoint and its token endpoint. Handlers are tried
+ * in order: handler(req) returns { status, body, headers, delay } or undefined
+ * to pass (delay holds the reply back for that many ms); unmatched requests get an empty verbose result. Every request is
+ * recorded as { method, path, headers, body }.
+ */
+const startMockSharePoint = () => new Promise(resolve => {
+  const handlers = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, path: decodeURIComponent(req.url), headers: req.headers, body: raw };
+      requests.push(request);
+
+      const reply = request.path === '/token'
+        ? { body: { access_token: 'test-token', expires_in: 3600 } }
+        : request.path.endsWith('/_api/contextinfo')
+          ? { body: { d: { GetContextWebInformation: { FormDigestValue: 'test-digest' } } } }
+          : handlers.reduce((found, handler) => found || handler(request), undefined) ||
+            { body: { d: { results: [] } } };
+
+      setTimeout(() => {
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+      }, reply.delay || 0);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      origin,
+      siteUrl: `${origin}/sites/test`,
+      tokenEndpoint: `${origin}/token`,
+      requests,
+      on: (handler) => handlers.push(handler),
+      reset: () => { handlers.length = 0; requests.length = 0; },
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Start the mock and point the service configuration at it; call before
+ * requiring anything that loads config/sharepoint.config.js
+ */
+const useMockSharePoint = async () => {
+  const sharepoint = await startMockSharePoint();
+  process.env.SHAREPOINT_SITE_URL = sharepoint.siteUrl;
+  process.env.TOKEN_ENDPOINT = sharepoint.tokenEndpoint;
+  return sharepoint;
+};
+
+module.exports = { startMockSharePoint, useMockSharePoint };
@@ -0,0 +1,64 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIntentParser, mergeIntentRules } = require('../utils/intentParser');
+
+const rulesFile = path.join(__dirname, 'fixtures', 'intent-rules.json');
+const queries = require('./fixtures/intent-queries.json');
+
+// Relative dates ("last week", "this year") are read against a fixed day
+const now = () => new Date('2024-06-15T12:00:00Z');
+
+test('the fixture rules file passes the intent rules schema', () => {
+  const { readIntentRules } = require('../config/intentRules.config');
+  assert.ok(readIntentRules(rulesFile).people.length > 0);
+});
+
+test('queries from the fixture resolve to their expected intents', async (t) => {
+  const { readIntentRules } = require('../config/intentRules.config');
+  const parser = createIntentParser(mergeIntentRules(readIntentRules(rulesFile)), { now });
+
+  for (const { query, type, criteria } of queries) {
+    await t.test(query, () => {
+      const intent = parser.detect(query);
+      assert.equal(intent.type, type);
+      assert.deepEqual(intent.criteria, criteria);
+    });
+  }
+});
+
+test('a site with its own intentRulesFile uses it; other sites do not', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sites-'));
+  const sitesFile = path.join(dir, 'sites.json');
+  fs.writeFileSync(sitesFile, JSON.stringify({
+    sites: [
+      { alias: 'marketing', siteUrl: 'http://127.0.0.1:1/sites/marketing', intentRulesFile: rulesFile },
+      { alias: 'hr', siteUrl: 'http://127.0.0.1:1/sites/hr' }
+    ]
+  }));
+
+  const config = require('../config/sharepoint.config');
+  const sitesConfigPath = require.resolve('../config/sites.config');
+  const servicePath = require.resolve('../services/sharepoint.service');
+  config.sharepoint.sitesFile = sitesFile;
+  delete require.cache[sitesConfigPath];
+  delete require.cache[servicePath];
+
+  try {
+    const { findSite } = require(sitesConfigPath);
+    const service = require(servicePath);
+    const detect = (alias, query) => service.withSite(findSite(alias), async () => service.detectSearchIntent(query));
+
+    assert.equal((await detect('marketing', 'style guide')).type, 'file_by_name');
+    assert.equal((await detect('hr', 'style guide')).type, 'multi_criteria');
+    assert.equal((await detect('default', 'style guide')).type, 'multi_criteria');
+  } finally {
+    delete config.sharepoint.sitesFile;
+    delete require.cache[sitesConfigPath];
+    delete require.cache[servicePath];
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
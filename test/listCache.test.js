@@ -0,0 +1,59 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+
+let sharepoint;
+let service;
+
+test.before(async () => {
+  process.env.DATA_CACHE_TTL = '1';
+  sharepoint = await useMockSharePoint();
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+test.beforeEach(async () => {
+  sharepoint.reset();
+  await service.clearCache();
+});
+
+test('a cached list is reloaded after the data TTL, not revalidated by its etag', async () => {
+  let itemCount = 1;
+  sharepoint.on(request => {
+    if (!/getbytitle\('Tasks'\)$/.test(request.path)) return undefined;
+    // The list etag only follows schema changes, so SharePoint would say 304
+    if (request.headers['if-none-match'] === '"1"') return { status: 304 };
+    return { headers: { ETag: '"1"' }, body: { d: { __metadata: { etag: '"1"' }, Title: 'Tasks', ItemCount: itemCount } } };
+  });
+
+  assert.equal((await service.getListByTitle('Tasks')).d.ItemCount, 1);
+  itemCount = 2;
+  assert.equal((await service.getListByTitle('Tasks')).d.ItemCount, 1, 'cached within the TTL');
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.equal((await service.getListByTitle('Tasks')).d.ItemCount, 2);
+  assert.ok(sharepoint.requests.every(request => !request.headers['if-none-match']));
+});
+
+test('writes addressed by path drop the cached items and lists of the site', async () => {
+  let title = 'Before';
+  sharepoint.on(request => (/getbytitle\('Documents'\)\/items\(1\)$/.test(request.path)
+    ? { body: { d: { __metadata: { etag: '"1"' }, Id: 1, Title: title } } }
+    : undefined));
+  sharepoint.on(request => (/getbytitle\('Documents'\)$/.test(request.path)
+    ? { body: { d: { Title: 'Documents', ItemCount: title === 'Before' ? 2 : 1 } } }
+    : undefined));
+
+  assert.equal((await service.getItemById('Documents', 1)).d.Title, 'Before');
+  assert.equal((await service.getListByTitle('Documents')).d.ItemCount, 2);
+
+  title = 'After';
+  await service.deleteFolder('/sites/test/Shared Documents/Old', { permanent: true });
+
+  assert.equal((await service.getItemById('Documents', 1)).d.Title, 'After');
+  assert.equal((await service.getListByTitle('Documents')).d.ItemCount, 1);
+});
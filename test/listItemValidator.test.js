@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateListItem } = require('../utils/listItemValidator');
+
+const fields = [
+  { Title: 'Title', InternalName: 'Title', TypeAsString: 'Text', Required: true, MaxLength: 10 },
+  { Title: 'Notes', InternalName: 'Notes', TypeAsString: 'Note', Required: false },
+  { Title: 'Status', InternalName: 'Status', TypeAsString: 'Choice', Required: true, Choices: { results: ['Open', 'Closed'] } },
+  { Title: 'Estimate', InternalName: 'Estimate', TypeAsString: 'Number', Required: false, MinimumValue: 0, MaximumValue: 100 },
+  { Title: 'Due Date', InternalName: 'Due_x0020_Date', TypeAsString: 'DateTime', Required: false },
+  { Title: 'Modified', InternalName: 'Modified', TypeAsString: 'DateTime', ReadOnlyField: true }
+];
+
+// Joi can report several problems with one value
+const fieldsIn = ({ errors }) => [...new Set(errors.map(error => error.field))];
+
+test('a valid item is returned under SharePoint property names', () => {
+  const { errors, value } = validateListItem(fields, { Title: 'Task', status: 'Open', 'Due Date': '2024-05-01T10:00:00Z' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { Title: 'Task', Status: 'Open', Due_x0020_Date: '2024-05-01T10:00:00.000Z' });
+});
+
+test('required fields must be present unless the write is partial', () => {
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Title: 'Task' })), ['Status']);
+  assert.deepEqual(validateListItem(fields, { Title: 'Task' }, { partial: true }).errors, []);
+});
+
+test('required text fields reject empty strings and null, optional ones accept them', () => {
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Title: '', Status: 'Open' })), ['Title']);
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Title: null }, { partial: true })), ['Title']);
+  assert.deepEqual(validateListItem(fields, { Notes: '' }, { partial: true }).errors, []);
+  assert.deepEqual(validateListItem(fields, { Notes: null }, { partial: true }).errors, []);
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Title: 'Far too long a title' }, { partial: true })), ['Title']);
+});
+
+test('choice fields only take one of their choices', () => {
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Status: 'Pending' }, { partial: true })), ['Status']);
+  assert.deepEqual(fieldsIn(validateListItem(fields, { Status: '' }, { partial: true })), ['Status']);
+  assert.deepEqual(validateListItem(fields, { Status: 'Closed' }, { partial: true }).errors, []);
+});
+
+test('number fields are checked against their type and range', () => {
+  assert.deepEqual(validateListItem(fields, { Estimate: 40 }, { partial: true }).value, { Estimate: 40 });
+  for (const Estimate of ['many', -1, 101]) {
+    assert.deepEqual(fieldsIn(validateListItem(fields, { Estimate }, { partial: true })), ['Estimate']);
+  }
+});
+
+test('unknown and read-only fields are rejected', () => {
+  const { errors } = validateListItem(fields, { Owner: 'me', Modified: '2024-05-01T10:00:00Z' }, { partial: true });
+  assert.deepEqual(errors.map(error => error.message), ['"Owner" is not a field of this list', '"Modified" is read-only']);
+});
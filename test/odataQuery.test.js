@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const odata = require('../utils/odataQuery');
+
+test('escapeString doubles single quotes', () => {
+  assert.equal(odata.escapeString("O'Brien"), "O''Brien");
+  assert.equal(odata.escapeString("''"), "''''");
+  assert.equal(odata.escapeString(42), '42');
+});
+
+test('stringLiteral quotes and escapes', () => {
+  assert.equal(odata.stringLiteral("O'Brien"), "'O''Brien'");
+  assert.equal(odata.stringLiteral(''), "''");
+});
+
+test('formatValue renders each supported type', () => {
+  assert.equal(odata.formatValue(null), 'null');
+  assert.equal(odata.formatValue(true), 'true');
+  assert.equal(odata.formatValue(3.5), '3.5');
+  assert.equal(odata.formatValue("it's"), "'it''s'");
+  assert.equal(odata.formatValue(new Date('2024-01-02T03:04:05Z')), "datetime'2024-01-02T03:04:05.000Z'");
+  assert.throws(() => odata.formatValue(NaN), { status: 400 });
+  assert.throws(() => odata.formatValue({}), { status: 400 });
+});
+
+test('field rejects names that could change the query', () => {
+  assert.equal(odata.field('Author/Title'), 'Author/Title');
+  assert.throws(() => odata.field("Title eq 'x' or 1"), { status: 400 });
+  assert.throws(() => odata.field('Title)'), { status: 400 });
+  assert.throws(() => odata.field(''), { status: 400 });
+});
+
+test('compare validates operators and escapes values', () => {
+  assert.equal(odata.eq('Title', "a' or Title ne 'b"), "Title eq 'a'' or Title ne ''b'");
+  assert.throws(() => odata.compare('Title', 'like', 'x'), { status: 400 });
+});
+
+test('string functions escape their value', () => {
+  assert.equal(odata.substringof("it's", 'FileLeafRef'), "substringof('it''s', FileLeafRef)");
+  assert.equal(odata.startswith('Title', "'"), "startswith(Title, '''')");
+});
+
+test('and/or parenthesise parts and drop empty ones', () => {
+  assert.equal(odata.and(odata.eq('A', 1), '', odata.eq('B', 2)), '(A eq 1) and (B eq 2)');
+  assert.equal(odata.or(odata.eq('A', 1)), 'A eq 1');
+  assert.equal(odata.and(), '');
+});
+
+test('orderBy validates fields and directions', () => {
+  assert.equal(odata.orderBy('Modified DESC, Title'), 'Modified desc,Title');
+  assert.throws(() => odata.orderBy('Modified sideways'), { status: 400 });
+  assert.throws(() => odata.orderBy('Modified desc extra'), { status: 400 });
+});
+
+test('buildQuery URL-encodes every value', () => {
+  const query = odata.buildQuery({
+    filter: odata.eq('Title', "a&$top=1'#"),
+    select: 'Id, Title',
+    expand: ['Author'],
+    orderby: 'Modified desc',
+    top: 10,
+    skip: 0
+  });
+
+  assert.equal(
+    query,
+    "?$filter=Title%20eq%20'a%26%24top%3D1''%23'&$select=Id%2CTitle&$expand=Author&$orderby=Modified%20desc&$top=10&$skip=0"
+  );
+  assert.equal(query.split('&').length, 6);
+});
+
+test('buildQuery returns an empty string without options and rejects bad paging', () => {
+  assert.equal(odata.buildQuery(), '');
+  assert.throws(() => odata.buildQuery({ top: -1 }), { status: 400 });
+  assert.throws(() => odata.buildQuery({ skip: '1;' }), { status: 400 });
+  assert.throws(() => odata.buildQuery({ select: 'Id,Title eq 1' }), { status: 400 });
+});
+
+test('pathLiteral escapes quotes and encodes the segment', () => {
+  assert.equal(odata.pathLiteral("O'Brien Docs"), "'O''Brien%20Docs'");
+  assert.equal(odata.pathLiteral("a')/items?$top=1"), "'a'')%2Fitems%3F%24top%3D1'");
+  assert.equal(odata.pathLiteral('/sites/a/Shared Documents/#1'), "'%2Fsites%2Fa%2FShared%20Documents%2F%231'");
+});
@@ -0,0 +1,252 @@
+require('./helpers/env');
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Runs against a real server when TEST_REDIS_URL is set, otherwise against
+// ioredis-mock, which shares data and pub/sub between clients on one URL
+const redisUrl = process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/15';
+if (!process.env.TEST_REDIS_URL) {
+  const ioredisPath = require.resolve('ioredis');
+  require.cache[ioredisPath] = {
+    id: ioredisPath,
+    filename: ioredisPath,
+    loaded: true,
+    exports: require('ioredis-mock')
+  };
+}
+process.env.CACHE_KEY_PREFIX = `sharepoint-api-test-${process.pid}`;
+
+const Redis = require('ioredis');
+const config = require('../config/sharepoint.config');
+const RedisCache = require('../utils/redisCache');
+
+const cacheServicePath = require.resolve('../services/cache.service');
+const instances = [];
+
+/**
+ * Load a fresh copy of the cache service, standing in for a second API
+ * instance: its own instance id, registry and Redis connections
+ */
+const loadInstance = () => {
+  delete require.cache[cacheServicePath];
+  const CacheService = require(cacheServicePath);
+  instances.push(CacheService);
+  return CacheService;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const eventually = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) assert.fail('condition not met in time');
+    await sleep(20);
+  }
+};
+
+let client;
+
+before(() => {
+  config.cache.redisUrl = redisUrl;
+  client = new Redis(redisUrl);
+});
+
+after(async () => {
+  await new RedisCache(client, { namespace: config.cache.keyPrefix }).flush();
+  await Promise.all(instances.map(CacheService => CacheService.disconnect()));
+  await client.quit();
+});
+
+describe('RedisCache', () => {
+  let cache;
+
+  beforeEach(async () => {
+    cache = new RedisCache(client, { namespace: `${config.cache.keyPrefix}:adapter`, stdTTL: 60 });
+    await cache.flush();
+  });
+
+  test('round-trips values as JSON and misses unknown keys', async () => {
+    await cache.set('item', { id: 1, title: 'Task' });
+    assert.deepEqual(await cache.get('item'), { id: 1, title: 'Task' });
+    assert.equal(await cache.get('missing'), undefined);
+  });
+
+  test('applies the default and per-entry TTL', async () => {
+    await cache.set('default', 1);
+    await cache.set('short', 1, { ttl: 5 });
+    await cache.set('forever', 1, { ttl: 0 });
+
+    const ttl = (key) => client.ttl(cache.key(key));
+    assert.ok(await ttl('default') > 5 && await ttl('default') <= 60);
+    assert.ok(await ttl('short') > 0 && await ttl('short') <= 5);
+    assert.equal(await ttl('forever'), -1);
+  });
+
+  // ioredis-mock accepts but ignores the EXPIRE NX/GT flags
+  const needsRealRedis = !process.env.TEST_REDIS_URL && 'needs TEST_REDIS_URL';
+
+  test('keeps tag sets alive as long as their longest entry', { skip: needsRealRedis }, async () => {
+    await cache.set('a', 1, { tags: ['list:tasks'], ttl: 5 });
+    await cache.set('b', 2, { tags: ['list:tasks'], ttl: 30 });
+    await cache.set('c', 3, { tags: ['list:tasks'], ttl: 10 });
+
+    const ttl = await client.ttl(cache.tagKey('list:tasks'));
+    assert.ok(ttl > 10 && ttl <= 30);
+  });
+
+  test('invalidateTags drops only the tagged entries and their tag sets', async () => {
+    await cache.set('a', 1, { tags: ['list:tasks'] });
+    await cache.set('b', 2, { tags: ['list:tasks', 'site:hr'] });
+    await cache.set('c', 3, { tags: ['list:issues'] });
+
+    assert.equal(await cache.invalidateTags(['list:tasks']), 2);
+    assert.equal(await cache.get('a'), undefined);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), 3);
+    assert.equal(await client.exists(cache.tagKey('list:tasks')), 0);
+  });
+
+  test('flush only clears its own namespace', async () => {
+    const other = new RedisCache(client, { namespace: `${config.cache.keyPrefix}:other`, stdTTL: 60 });
+    await cache.set('a', 1, { tags: ['t'] });
+    await other.set('a', 2);
+
+    await cache.flush();
+    assert.equal(await cache.get('a'), undefined);
+    assert.equal(await other.get('a'), 2);
+    await other.flush();
+  });
+
+  test('generation changes when a tag is invalidated or the cache is flushed', async () => {
+    const before = await cache.generation(['list:tasks']);
+
+    await cache.invalidateTags(['list:issues']);
+    assert.equal(await cache.generation(['list:tasks']), before);
+
+    await cache.invalidateTags(['list:tasks']);
+    const invalidated = await cache.generation(['list:tasks']);
+    assert.notEqual(invalidated, before);
+
+    await cache.flush();
+    assert.notEqual(await cache.generation(['list:tasks']), invalidated);
+  });
+
+  test('lock is exclusive and release only frees a lock it still holds', async () => {
+    const release = await cache.lock('item', 1000);
+    assert.equal(typeof release, 'function');
+    assert.equal(await cache.lock('item', 1000), null);
+
+    await release();
+    const second = await cache.lock('item', 1000);
+    assert.ok(second);
+
+    // A stale release (the first lock expired and was retaken) is a no-op
+    await release();
+    assert.equal(await cache.lock('item', 1000), null);
+    await second();
+  });
+});
+
+describe('CacheService across instances', () => {
+  const backend = config.cache.backend;
+
+  after(() => {
+    config.cache.backend = backend;
+  });
+
+  test('invalidations on one instance drop entries in another instance\'s memory cache', async () => {
+    config.cache.backend = 'memory';
+    const a = new (loadInstance())('broadcast', { stdTTL: 60 });
+    const b = new (loadInstance())('broadcast', { stdTTL: 60 });
+
+    await a.set('items', [1], { tags: ['list:tasks'] });
+    await b.set('items', [1], { tags: ['list:tasks'] });
+    await b.set('other', [2], { tags: ['list:issues'] });
+
+    await a.invalidateTags(['list:tasks']);
+    assert.equal(await a.get('items'), undefined);
+    await eventually(async () => (await b.get('items')) === undefined);
+    assert.deepEqual(await b.get('other'), [2]);
+
+    await a.set('other', [2]);
+    await b.del('other');
+    await eventually(async () => (await a.get('other')) === undefined);
+  });
+
+  test('the redis backend shares entries and invalidations between instances', async () => {
+    config.cache.backend = 'redis';
+    const a = new (loadInstance())('shared', { stdTTL: 60 });
+    const b = new (loadInstance())('shared', { stdTTL: 60 });
+
+    await a.set('items', [1], { tags: ['list:tasks'] });
+    assert.deepEqual(await b.get('items'), [1]);
+
+    await b.invalidateTags(['list:tasks']);
+    assert.equal(await a.get('items'), undefined);
+  });
+
+  test('shared caches live in Redis even when the data cache is in memory', async () => {
+    config.cache.backend = 'memory';
+    const a = new (loadInstance())('jobs', { stdTTL: 60, shared: true });
+    const b = new (loadInstance())('jobs', { stdTTL: 60, shared: true });
+
+    await a.set('default:job-1', { status: 'running' });
+    assert.deepEqual(await b.get('default:job-1'), { status: 'running' });
+    assert.equal(a.broadcast, false);
+  });
+
+  test('a load overlapped by an invalidation on another instance is not cached', async () => {
+    config.cache.backend = 'redis';
+    const a = new (loadInstance())('overlap', { stdTTL: 60 });
+    const b = new (loadInstance())('overlap', { stdTTL: 60 });
+
+    const loading = a.getOrLoad('items', async () => {
+      await sleep(100);
+      return ['before'];
+    }, { tags: ['list:tasks'] });
+    await sleep(20);
+    await b.invalidateTags(['list:tasks']);
+
+    assert.deepEqual(await loading, ['before']);
+    assert.equal(await b.get('items'), undefined);
+  });
+
+  test('withLock serializes updates of a shared entry across instances', async () => {
+    config.cache.backend = 'memory';
+    const a = new (loadInstance())('updates', { stdTTL: 60, shared: true });
+    const b = new (loadInstance())('updates', { stdTTL: 60, shared: true });
+    await a.set('job', { errors: [] });
+
+    const append = (instance, error) => instance.withLock('job', async () => {
+      const job = await instance.get('job');
+      await sleep(50);
+      await instance.set('job', { errors: [...job.errors, error] });
+    });
+
+    await Promise.all([append(a, 'a'), append(b, 'b')]);
+    assert.deepEqual((await a.get('job')).errors.sort(), ['a', 'b']);
+  });
+
+  test('getOrLoad runs the loader once when instances miss the same key together', async () => {
+    config.cache.backend = 'redis';
+    const a = new (loadInstance())('locked', { stdTTL: 60 });
+    const b = new (loadInstance())('locked', { stdTTL: 60 });
+    await a.flush();
+
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      await sleep(150);
+      return { loaded: calls };
+    };
+
+    const results = await Promise.all([
+      a.getOrLoad('items', loader, { tags: ['list:tasks'] }),
+      b.getOrLoad('items', loader, { tags: ['list:tasks'] })
+    ]);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(results, [{ loaded: 1 }, { loaded: 1 }]);
+  });
+});
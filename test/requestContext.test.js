@@ -0,0 +1,26 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requestContext, getRequestContext } = require('../utils/requestContext');
+const service = require('../services/sharepoint.service');
+
+const otherSite = { alias: 'marketing', siteUrl: 'http://127.0.0.1:1/sites/marketing' };
+
+test('withSite outside a request runs against the site with a fresh context', async () => {
+  const context = await service.withSite(otherSite, async () => getRequestContext());
+  assert.deepEqual(context, { retries: 0, site: otherSite });
+});
+
+test('withSite inside a request keeps the user assertion and switches the site', async () => {
+  await requestContext.run({ retries: 0, userAssertion: 'user-token', requestId: 'r-1' }, async () => {
+    await service.withSite(otherSite, async () => {
+      assert.equal(service.currentSite(), otherSite);
+      assert.equal(getRequestContext().userAssertion, 'user-token');
+      assert.equal(getRequestContext().requestId, 'r-1');
+    });
+
+    // The request's own context is left as it was
+    assert.equal(getRequestContext().site, undefined);
+    assert.equal(service.currentSite().alias, 'default');
+  });
+});
@@ -0,0 +1,46 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/sharepoint.config');
+const retryPolicy = require('../utils/retryPolicy');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('only idempotent methods are retried by default', () => {
+  for (const method of ['GET', 'put', 'DELETE', 'HEAD']) assert.equal(retryPolicy.isIdempotent(method), true);
+  for (const method of ['POST', 'patch', 'MERGE']) assert.equal(retryPolicy.isIdempotent(method), false);
+});
+
+test('throttling and transient failures are retryable, client errors are not', () => {
+  for (const status of [429, 503, 502, 504]) assert.equal(retryPolicy.isRetryable(httpError(status)), true);
+  for (const status of [400, 404, 412, 500]) assert.equal(retryPolicy.isRetryable(httpError(status)), false);
+
+  assert.equal(retryPolicy.isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(retryPolicy.isRetryable(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), false);
+
+  assert.equal(retryPolicy.isThrottled(httpError(429)), true);
+  assert.equal(retryPolicy.isThrottled(httpError(502)), false);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  assert.equal(retryPolicy.parseRetryAfter(httpError(429, { 'retry-after': '7' })), 7000);
+  assert.equal(retryPolicy.parseRetryAfter(httpError(429)), null);
+  assert.equal(retryPolicy.parseRetryAfter(httpError(429, { 'retry-after': 'soon' })), null);
+
+  const date = new Date(Date.now() + 10000).toUTCString();
+  const delay = retryPolicy.parseRetryAfter(httpError(503, { 'retry-after': date }));
+  assert.ok(delay > 8000 && delay <= 10000);
+  assert.equal(retryPolicy.parseRetryAfter(httpError(503, { 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' })), 0);
+});
+
+test('retryDelay prefers Retry-After, otherwise backs off exponentially with jitter', () => {
+  assert.equal(retryPolicy.retryDelay(httpError(429, { 'retry-after': '3' }), 1), 3000);
+
+  const { baseDelayMs, maxDelayMs } = config.retry;
+  for (const attempt of [1, 2, 3]) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    const delay = retryPolicy.retryDelay(httpError(503), attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+  }
+  assert.ok(retryPolicy.retryDelay(httpError(503), 50) <= maxDelayMs);
+});
@@ -0,0 +1,123 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+
+let sharepoint;
+let service;
+
+test.before(async () => {
+  sharepoint = await useMockSharePoint();
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+const emptyResults = { d: { query: { PrimaryQueryResult: { RelevantResults: { TotalRows: 0, RowCount: 0, Table: { Rows: { results: [] } } } } } } };
+
+const LIBRARY_ROOT = '/sites/test/Shared Documents';
+let totalRows = 0;
+
+test.beforeEach(async () => {
+  sharepoint.reset();
+  await service.clearCache();
+  totalRows = 0;
+  sharepoint.on(request => {
+    if (request.path.includes("getbytitle('Documents')/RootFolder")) {
+      return { body: { d: { ServerRelativeUrl: LIBRARY_ROOT } } };
+    }
+    if (!request.path.includes('/_api/search/query')) return undefined;
+    if (!totalRows) return { body: emptyResults };
+
+    // One row per page, so every page but the last has a next cursor
+    const rows = [{ Cells: { results: [{ Key: 'Path', Value: `${sharepoint.origin}${LIBRARY_ROOT}/a.docx`, ValueType: 'Edm.String' }] } }];
+    return {
+      body: { d: { query: { PrimaryQueryResult: { RelevantResults: { TotalRows: totalRows, RowCount: 1, Table: { Rows: { results: rows } } } } } } }
+    };
+  });
+});
+
+/**
+ * Parameters of the last search request, with SharePoint's quoting removed
+ */
+const lastSearch = () => {
+  const request = sharepoint.requests.filter(entry => entry.path.includes('/_api/search/query')).pop();
+  const params = {};
+  for (const [, name, value] of request.path.matchAll(/[?&](\w+)=('(?:[^']|'')*'|[^&]*)/g)) {
+    params[name] = value.startsWith("'") ? value.slice(1, -1).replace(/''/g, "'") : value;
+  }
+  return params;
+};
+
+test('site scope restricts results in the query template, not the query text', async () => {
+  const query = 'budget) OR (path:"https://other.example.com"';
+  await service.searchSite(query);
+
+  const { querytext, querytemplate } = lastSearch();
+  assert.equal(querytext, query);
+  assert.equal(querytemplate, `({searchTerms}) path:"${sharepoint.siteUrl}"`);
+});
+
+test('a caller\'s query template keeps the site restriction', async () => {
+  await service.searchSite('budget', { queryTemplate: '{searchTerms} IsDocument:1' });
+  assert.equal(lastSearch().querytemplate, `({searchTerms} IsDocument:1) path:"${sharepoint.siteUrl}"`);
+});
+
+test('tenant scope sends the query without a site restriction', async () => {
+  await service.searchSite('budget', { scope: 'tenant' });
+  const params = lastSearch();
+  assert.equal(params.querytext, 'budget');
+  assert.equal(params.querytemplate, undefined);
+});
+
+test('content search scopes the library in the query template', async () => {
+  await service.searchFileContent('budget) OR (IsDocument:0', 'Documents');
+
+  const { querytext, querytemplate } = lastSearch();
+  assert.equal(querytext, 'budget) OR (IsDocument:0');
+  assert.equal(querytemplate, `({searchTerms}) path:"${sharepoint.origin}${LIBRARY_ROOT}" IsDocument:1`);
+});
+
+test('content search accepts a folder inside the library', async () => {
+  await service.searchFileContent('budget', 'Documents', { folderPath: `${LIBRARY_ROOT}/Finance/` });
+  assert.equal(lastSearch().querytemplate, `({searchTerms}) path:"${sharepoint.origin}${LIBRARY_ROOT}/Finance" IsDocument:1`);
+});
+
+test('content search rejects a folder outside the library', async () => {
+  for (const folderPath of ['/sites/other/Shared Documents', '/sites/test/Shared Documents2', `${LIBRARY_ROOT}/../Private`]) {
+    await assert.rejects(service.searchFileContent('budget', 'Documents', { folderPath }), { status: 400 });
+  }
+});
+
+test('content search cursors are signed and bound to the text and folder', async () => {
+  totalRows = 3;
+  const folderPath = `${LIBRARY_ROOT}/Finance`;
+  const { nextCursor } = await service.searchFileContent('budget', 'Documents', { folderPath });
+  assert.ok(nextCursor);
+
+  const page = await service.searchFileContent('budget', 'Documents', { folderPath, cursor: nextCursor });
+  assert.equal(lastSearch().startrow, '1');
+  assert.ok(page.nextCursor);
+
+  await assert.rejects(service.searchFileContent('salaries', 'Documents', { folderPath, cursor: nextCursor }), { status: 400 });
+  await assert.rejects(service.searchFileContent('budget', 'Documents', { cursor: nextCursor }), { status: 400 });
+
+  const forged = Buffer.from(JSON.stringify({ site: 'default', list: 'Documents', text: 'budget', folder: folderPath, start: 2 })).toString('base64url');
+  await assert.rejects(service.searchFileContent('budget', 'Documents', { folderPath, cursor: forged }), { status: 400 });
+});
+
+test('file_by_date intents search the whole parsed range, up to the end of its last day', async () => {
+  await service.runSearchIntent({
+    type: 'file_by_date',
+    month: 5,
+    year: 2024,
+    startDate: '2024-05-01T00:00:00.000Z',
+    endDate: '2024-05-31T23:59:59.999Z'
+  });
+
+  const request = sharepoint.requests.find(entry => entry.path.includes('/items?'));
+  assert.ok(request.path.includes("Modified ge datetime'2024-05-01T00:00:00.000Z'"));
+  assert.ok(request.path.includes("Modified le datetime'2024-05-31T23:59:59.999Z'"));
+});
@@ -0,0 +1,77 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RedisSubscriptionStore, FileSubscriptionStore } = require('../utils/subscriptionStore');
+
+// A real server when TEST_REDIS_URL is set, otherwise ioredis-mock
+const Redis = process.env.TEST_REDIS_URL ? require('ioredis') : require('ioredis-mock');
+
+const state = (id, changeToken = '1;3;list;1;-1') => ({
+  id,
+  site: 'default',
+  listTitle: 'Tasks',
+  expirationDateTime: '2025-01-01T00:00:00.000Z',
+  changeToken
+});
+
+/**
+ * Behaviour both stores share; `open` returns a store over the same data
+ * each time it is called, as a restarted instance would see it
+ */
+const storeContract = (open) => {
+  test('saves, reads and removes subscription state', async () => {
+    const store = open();
+    await store.save('a', state('A'));
+    assert.deepEqual(await store.get('a'), state('A'));
+    assert.equal(await store.get('missing'), undefined);
+
+    await store.remove('a');
+    assert.equal(await store.get('a'), undefined);
+    assert.deepEqual(await store.ids(), []);
+  });
+
+  test('keeps every subscription when they are saved concurrently', async () => {
+    const store = open();
+    const ids = Array.from({ length: 20 }, (_, i) => `sub-${i}`);
+    await Promise.all(ids.map(id => store.save(id, state(id))));
+
+    assert.deepEqual((await store.ids()).sort(), [...ids].sort());
+    await Promise.all(ids.map(id => store.remove(id)));
+  });
+
+  test('state survives a restart', async () => {
+    await open().save('b', state('B', 'token-2'));
+    assert.deepEqual(await open().get('b'), state('B', 'token-2'));
+    assert.deepEqual(await open().ids(), ['b']);
+    await open().remove('b');
+  });
+};
+
+describe('FileSubscriptionStore', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-state-'));
+  const file = path.join(dir, 'nested', 'subscriptions.json');
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  storeContract(() => new FileSubscriptionStore(file));
+
+  test('refuses to start from a corrupt file', async () => {
+    const corrupt = path.join(dir, 'corrupt.json');
+    fs.writeFileSync(corrupt, '{ not json');
+    await assert.rejects(new FileSubscriptionStore(corrupt).ids(), /Failed to load webhook subscriptions/);
+  });
+});
+
+describe('RedisSubscriptionStore', () => {
+  const client = new Redis(process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/15');
+  const key = `sharepoint-api-test-${process.pid}:webhooks:subscriptions`;
+
+  after(async () => {
+    await client.del(key);
+    await client.quit();
+  });
+
+  storeContract(() => new RedisSubscriptionStore(client, { key }));
+});
@@ -0,0 +1,121 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { useMockSharePoint } = require('./helpers/mockSharePoint');
+
+const ROOT = '/sites/test/Shared Documents';
+
+let sharepoint;
+let service;
+
+test.before(async () => {
+  process.env.UPLOAD_CHUNK_SIZE = '4';
+  sharepoint = await useMockSharePoint();
+  service = require('../services/sharepoint.service');
+});
+
+test.after(async () => {
+  await sharepoint.close();
+});
+
+test.beforeEach(async () => {
+  sharepoint.reset();
+  await service.clearCache();
+  sharepoint.on(request => (/getbytitle\('Documents'\)\/RootFolder$/.test(request.path.split('?')[0])
+    ? { body: { d: { ServerRelativeUrl: ROOT } } }
+    : undefined));
+});
+
+const writes = () => sharepoint.requests.filter(request =>
+  request.method === 'POST' && request.path.includes('/_api/') && !request.path.endsWith('/contextinfo'));
+
+test('uploads refuse file names that leave the target folder', async () => {
+  for (const fileName of ['../Private/a.txt', '/sites/test/Private/a.txt', 'sub/a.txt', '..', 'a.txt.']) {
+    await assert.rejects(service.uploadFile(fileName, Readable.from([Buffer.from('abc')])), { status: 400 });
+  }
+  assert.equal(writes().length, 0);
+});
+
+test('uploads refuse folders outside the library', async () => {
+  for (const folderPath of ['/sites/test/Private', `${ROOT}/../Private`, '/sites/test/Shared Documents2']) {
+    await assert.rejects(
+      service.uploadFile('a.txt', Readable.from([Buffer.from('abc')]), { libraryName: 'Documents', folderPath }),
+      { status: 400 }
+    );
+  }
+  assert.equal(writes().length, 0);
+});
+
+test('small uploads go to Files/add in the library folder', async () => {
+  sharepoint.on(request => (request.path.includes('/Files/add(') ? { body: { d: { Name: 'a.txt' } } } : undefined));
+
+  await service.uploadFile('a.txt', Readable.from([Buffer.from('abc')]), { folderPath: `${ROOT}/Reports/` });
+
+  const [add] = writes();
+  assert.equal(add.path, `/sites/test/_api/web/GetFolderByServerRelativeUrl('${ROOT}/Reports')/Files/add(url='a.txt',overwrite=false)`);
+  assert.equal(add.body, 'abc');
+});
+
+// Content over UPLOAD_CHUNK_SIZE (4 bytes): StartUpload, ContinueUpload, FinishUpload
+const largeContent = () => Readable.from([Buffer.from('0123456789')]);
+const TARGET = `${ROOT}/big.bin`;
+
+const failContinueUpload = () => sharepoint.on(request => (request.path.includes('/ContinueUpload(')
+  ? { status: 500, body: { error: { message: { value: 'Upload failed' } } } }
+  : undefined));
+
+const fileExists = (exists) => sharepoint.on(request => (request.method === 'GET' && request.path.includes(`GetFileByServerRelativeUrl('${TARGET}')`)
+  ? (exists ? { body: { d: { Exists: true } } } : { status: 404, body: { error: { message: { value: 'Not found' } } } })
+  : undefined));
+
+const placeholderCreated = () => sharepoint.on(request => (request.path.includes('/Files/add(')
+  ? { body: { d: { ServerRelativeUrl: TARGET } } }
+  : undefined));
+
+const calls = () => writes().map(request => {
+  const [, operation] = /\/(\w+)\([^/]*$/.exec(request.path) || [];
+  return request.headers['x-http-method'] || operation;
+});
+
+test('a failed chunked upload of a new file removes its placeholder', async () => {
+  placeholderCreated();
+  failContinueUpload();
+
+  await assert.rejects(service.uploadFile('big.bin', largeContent()));
+
+  assert.deepEqual(calls(), ['add', 'StartUpload', 'ContinueUpload', 'CancelUpload', 'DELETE']);
+  assert.match(writes()[0].path, /Files\/add\(url='big\.bin',overwrite=false\)$/);
+  assert.match(writes()[4].path, /GetFileByServerRelativeUrl\('\/sites\/test\/Shared Documents\/big\.bin'\)$/);
+});
+
+test('a chunked overwrite uploads into the existing file and leaves it on failure', async () => {
+  fileExists(true);
+  failContinueUpload();
+
+  await assert.rejects(service.uploadFile('big.bin', largeContent(), { overwrite: true }));
+
+  assert.deepEqual(calls(), ['StartUpload', 'ContinueUpload', 'CancelUpload']);
+});
+
+test('a chunked overwrite of a missing file creates it and finishes the upload', async () => {
+  fileExists(false);
+  placeholderCreated();
+  sharepoint.on(request => (request.path.includes('/FinishUpload(') ? { body: { d: { Name: 'big.bin' } } } : undefined));
+
+  const result = await service.uploadFile('big.bin', largeContent(), { overwrite: true });
+
+  assert.equal(result.d.Name, 'big.bin');
+  assert.deepEqual(calls(), ['add', 'StartUpload', 'ContinueUpload', 'FinishUpload']);
+  assert.equal(writes().map(request => request.body).join(''), '0123456789');
+});
+
+test('uploading onto an existing file without overwrite is a conflict', async () => {
+  sharepoint.on(request => (request.path.includes('/Files/add(')
+    ? { status: 500, body: { error: { code: '-2130575257, Microsoft.SharePoint.SPException', message: { value: 'A file with the name already exists.' } } } }
+    : undefined));
+
+  await assert.rejects(service.uploadFile('big.bin', largeContent()), { status: 409 });
+  await assert.rejects(service.uploadFile('big.bin', Readable.from([Buffer.from('abc')])), { status: 409 });
+  assert.deepEqual(calls(), ['add', 'add']);
+});
@@ -0,0 +1,75 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Two instances sharing Redis: a real server with TEST_REDIS_URL, else ioredis-mock
+const redisUrl = process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/14';
+if (!process.env.TEST_REDIS_URL) {
+  const ioredisPath = require.resolve('ioredis');
+  require.cache[ioredisPath] = { id: ioredisPath, filename: ioredisPath, loaded: true, exports: require('ioredis-mock') };
+}
+process.env.REDIS_URL = redisUrl;
+process.env.CACHE_KEY_PREFIX = `sharepoint-api-test-${process.pid}`;
+
+const config = require('../config/sharepoint.config');
+const RedisCache = require('../utils/redisCache');
+const CacheService = require('../services/cache.service');
+const sharepointService = require('../services/sharepoint.service');
+
+const webhookServicePath = require.resolve('../services/webhook.service');
+
+/**
+ * A fresh copy of the webhook service, standing in for another instance
+ */
+const loadInstance = () => {
+  delete require.cache[webhookServicePath];
+  return require(webhookServicePath);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const state = {
+  id: 'Sub-1',
+  site: 'default',
+  listTitle: 'Tasks',
+  expirationDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  changeToken: 'token-1'
+};
+
+test.after(async () => {
+  await new RedisCache(CacheService.redis(), { namespace: config.cache.keyPrefix }).flush();
+  await CacheService.disconnect();
+});
+
+test('instances take turns processing a subscription', async (t) => {
+  const [a, b] = [loadInstance(), loadInstance()];
+  await a.saveState(state);
+
+  const tokensRead = [];
+  t.mock.method(sharepointService, 'getListChanges', async (listTitle, token) => {
+    tokensRead.push(token);
+    await sleep(100);
+    const next = `token-${Number(token.split('-')[1]) + 1}`;
+    return { token: next, hasMore: false, added: [], updated: [], deleted: [] };
+  });
+
+  await Promise.all([a.processSubscription('Sub-1'), b.processSubscription('sub-1')]);
+
+  // The second instance reads from the token the first one saved
+  assert.deepEqual(tokensRead, ['token-1', 'token-2']);
+  assert.equal((await b.getState('Sub-1')).changeToken, 'token-3');
+});
+
+test('only one instance renews an expiring subscription', async (t) => {
+  const [a, b] = [loadInstance(), loadInstance()];
+  await a.saveState(state);
+
+  const renewals = t.mock.method(sharepointService, 'updateSubscription', async () => {
+    await sleep(100);
+  });
+
+  await Promise.all([a.renewExpiring(), b.renewExpiring()]);
+
+  assert.equal(renewals.mock.callCount(), 1);
+  assert.ok(Date.parse((await a.getState('Sub-1')).expirationDateTime) > Date.parse(state.expirationDateTime));
+});
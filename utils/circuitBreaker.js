@@ -0,0 +1,73 @@
+const logger = require('./logger');
+
+/**
+ * Circuit breaker for upstream throttling.
+ * After `failureThreshold` consecutive throttled responses the circuit opens
+ * and requests fail fast until the cooldown has passed. The circuit is then
+ * half-open: one request is let through as a probe while the others keep
+ * failing fast, and the probe's outcome closes or reopens the circuit.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold, cooldownMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.probing = false;
+  }
+
+  /**
+   * Throw if the circuit is open, or half-open with a probe in flight.
+   * Returns true when the caller is the probe; a probe that ends without
+   * recordSuccess or recordFailure must call releaseProbe.
+   */
+  assertClosed() {
+    if (this.openUntil === 0) return false;
+
+    const remaining = this.openUntil - Date.now();
+    if (remaining <= 0 && !this.probing) {
+      this.probing = true;
+      logger.info(`${this.name} circuit half-open, sending a probe`);
+      return true;
+    }
+
+    const error = new Error(`${this.name} is throttling requests, try again later`);
+    error.status = 503;
+    error.retryAfter = Math.max(1, Math.ceil(remaining / 1000));
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.failures > 0 || this.openUntil > 0) {
+      logger.info(`${this.name} circuit closed`);
+    }
+    this.failures = 0;
+    this.openUntil = 0;
+    this.probing = false;
+  }
+
+  /**
+   * Record a throttled response; retryAfterMs extends the cooldown if longer
+   */
+  recordFailure(retryAfterMs = 0) {
+    this.failures++;
+    this.probing = false;
+
+    if (this.failures >= this.failureThreshold) {
+      const cooldown = Math.max(this.cooldownMs, retryAfterMs || 0);
+      this.openUntil = Date.now() + cooldown;
+      logger.warn(`${this.name} circuit opened`, { failures: this.failures, cooldownMs: cooldown });
+    }
+  }
+
+  /**
+   * Free the probe slot after a probe that said nothing about throttling
+   * (another error), so the next request probes instead
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * Validators for a SharePoint entity (verbose `d` payload): its OData etag,
+ * or a hash of the entity when SharePoint gives none, and the value of its
+ * modification date field
+ */
+const entityValidators = (entity, modifiedField) => {
+  const etag = entity.__metadata?.etag ||
+    `W/"${crypto.createHash('sha1').update(JSON.stringify(entity)).digest('base64url')}"`;
+  const modified = entity[modifiedField] ? new Date(entity[modifiedField]) : null;
+
+  return {
+    etag,
+    lastModified: modified && !isNaN(modified) ? modified : null
+  };
+};
+
+/**
+ * Validators for a list. A list's own OData etag only changes with its
+ * schema, so the ETag also covers LastItemModifiedDate and ItemCount to
+ * change whenever an item is added, edited or deleted.
+ */
+const listValidators = (list) => {
+  const version = [list.__metadata?.etag, list.LastItemModifiedDate, list.ItemCount].join('|');
+  const { lastModified } = entityValidators(list, 'LastItemModifiedDate');
+
+  return {
+    etag: `W/"${crypto.createHash('sha1').update(version).digest('base64url')}"`,
+    lastModified
+  };
+};
+
+/**
+ * Send a JSON body with ETag/Last-Modified headers, or an empty 304 when the
+ * request's If-None-Match/If-Modified-Since show the client's copy is current
+ */
+const sendConditional = (req, res, body, { etag, lastModified }) => {
+  // Clients may keep the response but must revalidate it before reuse
+  res.set('Cache-Control', 'private, no-cache');
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json(body);
+};
+
+module.exports = { entityValidators, listValidators, sendConditional };
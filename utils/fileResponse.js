@@ -0,0 +1,15 @@
+/**
+ * Stream a downloaded file ({ stream, fileName, contentType, contentLength })
+ * as an attachment; versions also name their label in X-Version-Label
+ */
+const sendFile = (res, file, next) => {
+  res.attachment(file.fileName);
+  if (file.contentType) res.set('Content-Type', file.contentType);
+  if (file.contentLength) res.set('Content-Length', file.contentLength);
+  if (file.versionLabel) res.set('X-Version-Label', file.versionLabel);
+
+  file.stream.on('error', next);
+  file.stream.pipe(res);
+};
+
+module.exports = { sendFile };
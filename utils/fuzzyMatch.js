@@ -0,0 +1,143 @@
+// Scores below this are not considered a match
+const DEFAULT_MIN_SCORE = 0.6;
+
+// A query token counts towards the score only when this similar to a name token
+const MIN_TOKEN_SIMILARITY = 0.7;
+
+// Suffixes stripped by stem(), longest first; [suffix, replacement]
+const SUFFIXES = [
+  ['ations', 'ate'], ['ation', 'ate'], ['ings', ''], ['ing', ''], ['ments', ''], ['ment', ''],
+  ['ies', 'y'], ['ied', 'y'], ['ers', ''], ['er', ''], ['ed', ''], ['es', ''], ['ly', ''], ['s', '']
+];
+
+/**
+ * Light English stemming so "reports", "reporting" and "report" compare equal
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (word.endsWith(suffix) && !word.endsWith('ss') && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+  return word;
+};
+
+/**
+ * Split a file name or query into stemmed lowercase tokens
+ * ("Venue_Research-2024.xlsx" -> ["venue", "research", "2024"])
+ */
+const tokenize = (text, { stripExtension = false } = {}) => {
+  let value = String(text || '');
+  if (stripExtension) value = value.replace(/\.[A-Za-z0-9]{1,5}$/, '');
+
+  return value
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and
+ * transpositions of adjacent letters ("teh" -> "the" is one edit)
+ */
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Similarity of two tokens between 0 and 1. A query token that starts a
+ * longer name token ("conf" / "conference") scores high.
+ */
+const tokenSimilarity = (queryToken, nameToken) => {
+  if (queryToken === nameToken) return 1;
+  if (queryToken.length >= 3 && nameToken.startsWith(queryToken)) return 0.9;
+
+  const distance = editDistance(queryToken, nameToken);
+  return Math.max(0, 1 - distance / Math.max(queryToken.length, nameToken.length));
+};
+
+/**
+ * Score a name against query tokens, independent of token order.
+ * Each query token takes its best matching name token (weighted by length);
+ * names with fewer unmatched tokens rank slightly higher.
+ */
+const scoreTokens = (queryTokens, nameTokens) => {
+  if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  let weighted = 0;
+  let totalWeight = 0;
+  const matched = new Set();
+
+  queryTokens.forEach(queryToken => {
+    let best = 0;
+    let bestIndex = -1;
+
+    nameTokens.forEach((nameToken, index) => {
+      const similarity = tokenSimilarity(queryToken, nameToken);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+
+    if (best >= MIN_TOKEN_SIMILARITY) {
+      weighted += best * queryToken.length;
+      matched.add(bestIndex);
+    }
+    totalWeight += queryToken.length;
+  });
+
+  const coverage = matched.size / nameTokens.length;
+  return (weighted / totalWeight) * (0.85 + 0.15 * coverage);
+};
+
+/**
+ * Catalogue entries for a library's files: the file item plus its name tokens
+ */
+const buildNameIndex = (items) => items
+  .filter(item => item.FileLeafRef)
+  .map(item => ({
+    item,
+    tokens: [...new Set([
+      ...tokenize(item.FileLeafRef, { stripExtension: true }),
+      ...(item.Title ? tokenize(item.Title) : [])
+    ])]
+  }));
+
+/**
+ * Rank catalogue entries against a query; returns the items with a score
+ * (0-1, best first)
+ */
+const rankMatches = (query, entries, { minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) => {
+  const queryTokens = [...new Set(tokenize(query))];
+
+  return entries
+    .map(entry => ({ item: entry.item, score: scoreTokens(queryTokens, entry.tokens) }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score || String(b.item.Modified).localeCompare(String(a.item.Modified)))
+    .slice(0, limit)
+    .map(match => ({ ...match.item, score: Math.round(match.score * 1000) / 1000 }));
+};
+
+module.exports = { stem, tokenize, editDistance, buildNameIndex, rankMatches };
@@ -0,0 +1,443 @@
+// File-type synonyms used when the rules file does not define its own
+const DEFAULT_FILE_TYPES = {
+  docx: ['word', 'docx', 'doc', 'word document', 'word documents'],
+  pptx: ['powerpoint', 'pptx', 'ppt', 'presentation', 'presentations', 'slide', 'slides'],
+  xlsx: ['excel', 'xlsx', 'xls', 'spreadsheet', 'spreadsheets'],
+  pdf: ['pdf', 'pdfs']
+};
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that carry no search meaning once the criteria are taken out
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'all', 'any', 'some', 'me', 'my', 'our', 'i', 'we', 'you', 'can', 'please',
+  'show', 'find', 'get', 'list', 'give', 'search', 'look', 'see', 'need', 'want', 'what', 'whats',
+  'which', 'that', 'were', 'was', 'is', 'are', 'there', 'for', 'in', 'on', 'at', 'from', 'of',
+  'to', 'with', 'and', 'or', 'by', 'about', 'since', 'during', 'between', 'files', 'file',
+  'documents', 'document', 'docs', 'items', 'folder', 'folders', 'most', 'called', 'named', 'may'
+]);
+
+const EDITOR_VERBS = ['modified', 'edited', 'updated', 'changed'];
+const AUTHOR_VERBS = ['created', 'authored', 'written', 'uploaded', 'made'];
+const RECENT_WORDS = ['recent', 'latest', 'newest'];
+const COUNT_WORDS = ['top', 'latest', 'last', 'first', 'newest', 'recent'];
+const PERIOD_UNITS = { day: 'day', days: 'day', week: 'week', weeks: 'week', month: 'month', months: 'month', year: 'year', years: 'year' };
+const STATISTICS_PHRASES = [['statistics'], ['stats'], ['summary'], ['how', 'many'], ['count']];
+
+const normalize = (text) => String(text).toLowerCase().trim().replace(/\s+/g, ' ');
+
+const tokenize = (text) => normalize(text).replace(/[^a-z0-9\s'&.-]/g, ' ').split(/\s+/).filter(Boolean);
+
+const isYear = (word) => /^(19|20)\d{2}$/.test(word || '');
+
+const isNumber = (word) => /^\d+$/.test(word || '');
+
+/**
+ * Turn named entries into [{ words, entry }] sorted longest alias first,
+ * so "christine gooding" wins over "christine"
+ */
+const aliasIndex = (entries) => entries
+  .flatMap(entry => [entry.name, ...(entry.aliases || [])].map(alias => ({ words: tokenize(alias), entry })))
+  .filter(({ words }) => words.length > 0)
+  .sort((a, b) => b.words.length - a.words.length);
+
+/**
+ * Query words with a "used" flag per word, so every criterion consumes the
+ * words it was read from and only the rest become keywords
+ */
+class QueryWords {
+  constructor(query) {
+    this.words = tokenize(query);
+    this.used = this.words.map(() => false);
+  }
+
+  free(index) {
+    return index >= 0 && index < this.words.length && !this.used[index];
+  }
+
+  /**
+   * Index of an unused occurrence of a phrase (array of words), or -1
+   */
+  find(phrase, from = 0) {
+    for (let i = from; i + phrase.length <= this.words.length; i++) {
+      if (phrase.every((word, offset) => this.free(i + offset) && this.words[i + offset] === word)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * First alias from an index found in the query: { entry, index, length }
+   */
+  findAlias(index) {
+    for (const { words, entry } of index) {
+      const at = this.find(words);
+      if (at !== -1) return { entry, index: at, length: words.length };
+    }
+    return null;
+  }
+
+  /**
+   * Alias starting exactly at a position
+   */
+  aliasAt(index, position) {
+    const match = index.find(({ words }) => this.find(words, position) === position);
+    return match ? { entry: match.entry, index: position, length: match.words.length } : null;
+  }
+
+  consume(index, length = 1) {
+    for (let i = index; i < index + length; i++) this.used[i] = true;
+  }
+
+  remaining() {
+    return this.words.filter((word, index) => !this.used[index]);
+  }
+}
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+/**
+ * Calendar period containing `date` ('week' starts on Monday)
+ */
+const periodOf = (unit, date) => {
+  switch (unit) {
+    case 'day':
+      return [startOfDay(date), endOfDay(date)];
+    case 'week': {
+      const start = startOfDay(new Date(date.getTime() - ((date.getDay() + 6) % 7) * DAY_MS));
+      return [start, endOfDay(new Date(start.getTime() + 6 * DAY_MS))];
+    }
+    case 'month':
+      return [new Date(date.getFullYear(), date.getMonth(), 1), endOfDay(new Date(date.getFullYear(), date.getMonth() + 1, 0))];
+    default:
+      return [new Date(date.getFullYear(), 0, 1), endOfDay(new Date(date.getFullYear(), 11, 31))];
+  }
+};
+
+/**
+ * Move a date back by whole units
+ */
+const shiftBack = (unit, date, count) => {
+  switch (unit) {
+    case 'day':
+      return new Date(date.getTime() - count * DAY_MS);
+    case 'week':
+      return new Date(date.getTime() - count * 7 * DAY_MS);
+    case 'month':
+      return new Date(date.getFullYear(), date.getMonth() - count, date.getDate(), date.getHours(), date.getMinutes());
+    default:
+      return new Date(date.getFullYear() - count, date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+  }
+};
+
+const dateRange = (label, start, end) => ({
+  period: label,
+  startDate: start.toISOString(),
+  endDate: end.toISOString()
+});
+
+/**
+ * Relative dates: today, yesterday, this/last week|month|year,
+ * last/past N days|weeks|months|years
+ */
+const parseRelativeDate = (words, now) => {
+  let at = words.find(['today']);
+  if (at !== -1) {
+    words.consume(at);
+    return dateRange('today', startOfDay(now), now);
+  }
+
+  at = words.find(['yesterday']);
+  if (at !== -1) {
+    words.consume(at);
+    const [start, end] = periodOf('day', shiftBack('day', now, 1));
+    return dateRange('yesterday', start, end);
+  }
+
+  for (let i = 0; i < words.words.length; i++) {
+    const [first, second, third] = words.words.slice(i, i + 3);
+    if (!words.free(i) || !['this', 'last', 'past'].includes(first)) continue;
+
+    // last|past N units: rolling window ending now
+    if (first !== 'this' && isNumber(second) && PERIOD_UNITS[third] && words.free(i + 2)) {
+      words.consume(i, 3);
+      return dateRange(`${first} ${second} ${third}`, shiftBack(PERIOD_UNITS[third], now, parseInt(second)), now);
+    }
+
+    // this|last|past unit: calendar period
+    if (PERIOD_UNITS[second] && words.free(i + 1)) {
+      const unit = PERIOD_UNITS[second];
+      words.consume(i, 2);
+      const [start, end] = periodOf(unit, first === 'this' ? now : shiftBack(unit, now, 1));
+      return dateRange(`${first} ${second}`, start, first === 'this' ? now : end);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * "<month> [year]" or a year on its own
+ */
+const parseCalendarDate = (words, now) => {
+  for (const [name, month] of Object.entries(MONTHS)) {
+    const at = words.find([name]);
+    if (at === -1) continue;
+
+    const yearFollows = isYear(words.words[at + 1]) && words.free(at + 1);
+    // "may" is also a verb: only a month next to a year or after in/from/during/since
+    if (name === 'may' && !yearFollows && !['in', 'from', 'during', 'since'].includes(words.words[at - 1])) continue;
+
+    const year = yearFollows ? parseInt(words.words[at + 1]) : now.getFullYear();
+    words.consume(at, yearFollows ? 2 : 1);
+
+    const range = dateRange(`${name} ${year}`, new Date(year, month - 1, 1), endOfDay(new Date(year, month, 0)));
+    return { ...range, month, year };
+  }
+
+  const at = words.words.findIndex((word, index) => words.free(index) && isYear(word));
+  if (at !== -1) {
+    const year = parseInt(words.words[at]);
+    words.consume(at);
+    return dateRange(String(year), new Date(year, 0, 1), endOfDay(new Date(year, 11, 31)));
+  }
+
+  return null;
+};
+
+/**
+ * Person after "by" (author) or "modified|edited|updated|changed by" (editor).
+ * Known people resolve to their canonical name; otherwise up to three
+ * following words that are not themselves criteria are taken as the name.
+ */
+const parsePersonAfterBy = (words, people, isCriterionWord) => {
+  const found = { author: null, editor: null };
+
+  for (let i = 0; i < words.words.length; i++) {
+    if (!words.free(i) || words.words[i] !== 'by') continue;
+
+    const verb = words.words[i - 1];
+    const role = EDITOR_VERBS.includes(verb) ? 'editor' : 'author';
+    if (found[role]) continue;
+
+    const verbLength = EDITOR_VERBS.includes(verb) || AUTHOR_VERBS.includes(verb) ? 1 : 0;
+    const known = words.aliasAt(people, i + 1);
+
+    if (known) {
+      found[role] = known.entry.name;
+      words.consume(i - verbLength, verbLength + 1 + known.length);
+      continue;
+    }
+
+    let length = 0;
+    while (length < 3) {
+      const word = words.words[i + 1 + length];
+      if (!word || !words.free(i + 1 + length) || STOPWORDS.has(word) || isNumber(word) ||
+          MONTHS[word] || isCriterionWord(word)) {
+        break;
+      }
+      length++;
+    }
+
+    if (length > 0) {
+      found[role] = words.words.slice(i + 1, i + 1 + length).join(' ');
+      words.consume(i - verbLength, verbLength + 1 + length);
+    }
+  }
+
+  return found;
+};
+
+/**
+ * "top|latest|last|first N" or "N most recent|latest|newest"
+ */
+const parseCount = (words) => {
+  for (let i = 0; i < words.words.length - 1; i++) {
+    const [first, second] = words.words.slice(i, i + 2);
+    if (!words.free(i) || !words.free(i + 1)) continue;
+
+    if (COUNT_WORDS.includes(first) && isNumber(second)) {
+      words.consume(i, 2);
+      return parseInt(second);
+    }
+    if (isNumber(first) && ['most', ...RECENT_WORDS].includes(second)) {
+      words.consume(i, 1);
+      return parseInt(first);
+    }
+  }
+  return null;
+};
+
+/**
+ * Merge rule sources into one rule set. Earlier sources win: an entry whose
+ * name is already present is skipped, and file types are only added when not
+ * yet defined. Pass the rules file before discovered rules.
+ * Source shape: { people: [{ name, aliases }], folders: [{ name, path, aliases }],
+ *                 documents: [{ name, aliases }], fileTypes: { ext: [synonyms] } }
+ */
+const mergeIntentRules = (...sources) => {
+  const merged = { people: [], folders: [], documents: [], fileTypes: {} };
+
+  sources.filter(Boolean).forEach(source => {
+    ['people', 'folders', 'documents'].forEach(kind => {
+      (source[kind] || []).forEach(entry => {
+        const exists = merged[kind].some(existing => normalize(existing.name) === normalize(entry.name));
+        if (!exists) merged[kind].push(entry);
+      });
+    });
+
+    Object.entries(source.fileTypes || {}).forEach(([ext, synonyms]) => {
+      if (!merged.fileTypes[ext]) merged.fileTypes[ext] = synonyms;
+    });
+  });
+
+  if (Object.keys(merged.fileTypes).length === 0) {
+    merged.fileTypes = DEFAULT_FILE_TYPES;
+  }
+
+  return merged;
+};
+
+/**
+ * Build an intent parser for a rule set (see mergeIntentRules for the shape).
+ * detect(query) pulls out every criterion it recognises (file types, author,
+ * editor, date range, folder, document name, count, keywords) and returns
+ * { type, term, criteria }. A single criterion keeps its dedicated type
+ * (file_by_type, file_by_author, file_by_date, folder_contents, file_by_name,
+ * recent_files, keyword_search); combinations are multi_criteria, and
+ * statistics questions are statistics.
+ * `now` can be injected so relative dates are reproducible.
+ */
+const createIntentParser = (rules, { now = () => new Date() } = {}) => {
+  const people = aliasIndex(rules.people || []);
+  const folders = aliasIndex(rules.folders || []);
+  const documents = aliasIndex(rules.documents || []);
+  const fileTypes = aliasIndex(
+    Object.entries(rules.fileTypes || DEFAULT_FILE_TYPES).map(([ext, synonyms]) => ({ name: ext, aliases: synonyms }))
+  );
+
+  // Words that start another criterion end an unknown person's name
+  const criterionWords = new Set([
+    ...[...fileTypes, ...folders, ...documents].map(({ words }) => words[0]),
+    ...EDITOR_VERBS, ...AUTHOR_VERBS, ...RECENT_WORDS, 'this', 'last', 'past', 'today', 'yesterday'
+  ]);
+
+  const detect = (rawQuery) => {
+    const term = normalize(rawQuery);
+    const words = new QueryWords(term);
+    const currentTime = now();
+    const criteria = {};
+
+    // Documents and folders first: their names may contain other criteria words
+    const document = words.findAlias(documents);
+    if (document) {
+      words.consume(document.index, document.length);
+      criteria.fileName = document.entry.name;
+    }
+
+    const folder = words.findAlias(folders);
+    if (folder) {
+      words.consume(folder.index, folder.length);
+      criteria.folder = folder.entry.name;
+      criteria.folderPath = folder.entry.path;
+    }
+
+    const date = parseRelativeDate(words, currentTime) || parseCalendarDate(words, currentTime);
+    if (date) Object.assign(criteria, date);
+
+    const { author, editor } = parsePersonAfterBy(words, people, word => criterionWords.has(word));
+    if (author) criteria.author = author;
+    if (editor) criteria.editor = editor;
+
+    // A known person mentioned without "by" is taken as the author
+    if (!criteria.author) {
+      const person = words.findAlias(people);
+      if (person) {
+        words.consume(person.index, person.length);
+        criteria.author = person.entry.name;
+      }
+    }
+
+    const types = [];
+    for (let match = words.findAlias(fileTypes); match; match = words.findAlias(fileTypes)) {
+      words.consume(match.index, match.length);
+      if (!types.includes(match.entry.name)) types.push(match.entry.name);
+    }
+    if (types.length === 1) criteria.fileType = types[0];
+    if (types.length > 1) criteria.fileTypes = types;
+
+    const count = parseCount(words);
+    if (count) criteria.count = count;
+
+    const recent = RECENT_WORDS.some(word => {
+      const at = words.find([word]);
+      if (at !== -1) words.consume(at);
+      return at !== -1;
+    });
+
+    const statistics = STATISTICS_PHRASES.some(phrase => {
+      const at = words.find(phrase);
+      if (at !== -1) words.consume(at, phrase.length);
+      return at !== -1;
+    });
+
+    const keywords = words.remaining().filter(word => !STOPWORDS.has(word) && word.length > 1);
+    if (keywords.length > 0) criteria.keywords = keywords;
+
+    const intent = { type: 'multi_criteria', term, criteria };
+    const kinds = [
+      criteria.fileName && 'name',
+      criteria.folderPath && 'folder',
+      criteria.startDate && 'date',
+      criteria.author && 'author',
+      criteria.editor && 'editor',
+      criteria.fileType && 'type',
+      criteria.fileTypes && 'types',
+      criteria.keywords && 'keywords'
+    ].filter(Boolean);
+
+    if (statistics) {
+      return { ...intent, type: 'statistics' };
+    }
+
+    if (kinds.length === 0) {
+      return recent || count
+        ? { ...intent, type: 'recent_files', count: count || 10 }
+        : { ...intent, type: 'keyword_search', keyword: term };
+    }
+
+    // One criterion (and no count) keeps its dedicated search
+    if (kinds.length === 1 && !count) {
+      switch (kinds[0]) {
+        case 'name':
+          return { ...intent, type: 'file_by_name', term: criteria.fileName };
+        case 'folder':
+          return { ...intent, type: 'folder_contents', folder: criteria.folder, folderPath: criteria.folderPath };
+        case 'date':
+          return { ...intent, type: 'file_by_date', month: criteria.month, year: criteria.year, startDate: criteria.startDate, endDate: criteria.endDate };
+        case 'author':
+          return { ...intent, type: 'file_by_author', author: criteria.author };
+        case 'type':
+          return { ...intent, type: 'file_by_type', fileType: criteria.fileType };
+        case 'keywords':
+          if (criteria.keywords.length === 1) return { ...intent, type: 'keyword_search', keyword: criteria.keywords[0] };
+          break;
+        default:
+          break;
+      }
+    }
+
+    return intent;
+  };
+
+  return { rules, detect };
+};
+
+module.exports = { DEFAULT_FILE_TYPES, mergeIntentRules, createIntentParser };
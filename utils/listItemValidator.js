@@ -0,0 +1,191 @@
+const Joi = require('joi');
+
+// Field types SharePoint computes itself
+const READ_ONLY_TYPES = ['Computed', 'Calculated', 'Counter'];
+
+// Field types written through their <Name>Id property
+const LOOKUP_TYPES = ['Lookup', 'User', 'LookupMulti', 'UserMulti'];
+
+const isReadOnly = (field) => field.ReadOnlyField || READ_ONLY_TYPES.includes(field.TypeAsString);
+
+const choicesOf = (field) => field.Choices?.results || field.Choices || [];
+
+/**
+ * Property name SharePoint expects in an item payload for this field
+ */
+const payloadKey = (field) => {
+  const name = field.EntityPropertyName || field.InternalName;
+  return LOOKUP_TYPES.includes(field.TypeAsString) ? `${name}Id` : name;
+};
+
+/**
+ * Decode SharePoint's _xHHHH_ escapes, e.g. Due_x0020_Date -> Due Date
+ */
+const decodeInternalName = (name) =>
+  name.replace(/_x([0-9a-f]{4})_/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+/**
+ * Find the field a payload key refers to: internal or entity name (with or
+ * without the lookup Id suffix), decoded internal name or display name
+ */
+const resolveField = (fields, key) => {
+  const lower = key.toLowerCase();
+  const matches = (field) => [
+    payloadKey(field),
+    field.EntityPropertyName,
+    field.InternalName,
+    decodeInternalName(field.InternalName),
+    field.Title
+  ].some(name => name && name.toLowerCase() === lower);
+
+  return fields.find(matches) || null;
+};
+
+/**
+ * Joi schema for a single field definition
+ */
+const fieldSchema = (field) => {
+  let schema;
+  const choices = choicesOf(field);
+
+  switch (field.TypeAsString) {
+    case 'Text':
+    case 'Note':
+      // SharePoint treats an empty string as a missing value
+      schema = field.Required ? Joi.string() : Joi.string().allow('');
+      if (field.MaxLength) schema = schema.max(field.MaxLength);
+      break;
+    case 'Number':
+    case 'Currency':
+      schema = Joi.number();
+      if (Number.isFinite(field.MinimumValue) && field.MinimumValue > -Number.MAX_VALUE) {
+        schema = schema.min(field.MinimumValue);
+      }
+      if (Number.isFinite(field.MaximumValue) && field.MaximumValue < Number.MAX_VALUE) {
+        schema = schema.max(field.MaximumValue);
+      }
+      break;
+    case 'Integer':
+      schema = Joi.number().integer();
+      break;
+    case 'Boolean':
+      schema = Joi.boolean();
+      break;
+    case 'DateTime':
+      schema = Joi.date().iso();
+      break;
+    case 'Choice':
+      schema = field.FillInChoice ? Joi.string() : Joi.string().valid(...choices);
+      break;
+    case 'MultiChoice':
+      schema = Joi.array().items(field.FillInChoice ? Joi.string() : Joi.string().valid(...choices));
+      break;
+    case 'Lookup':
+    case 'User':
+      schema = Joi.number().integer().positive();
+      break;
+    case 'LookupMulti':
+    case 'UserMulti':
+      schema = Joi.array().items(Joi.number().integer().positive());
+      break;
+    case 'URL':
+      schema = Joi.alternatives().try(
+        Joi.string().uri(),
+        Joi.object({ Url: Joi.string().uri().required(), Description: Joi.string().allow('') })
+      );
+      break;
+    default:
+      schema = Joi.any();
+  }
+
+  if (!field.Required) schema = schema.allow(null);
+  return schema.label(field.Title);
+};
+
+/**
+ * Convert validated values to the verbose OData shapes SharePoint expects
+ */
+const toSharePointValue = (field, value) => {
+  if (value === null) return value;
+
+  switch (field.TypeAsString) {
+    case 'MultiChoice':
+      return { __metadata: { type: 'Collection(Edm.String)' }, results: value };
+    case 'LookupMulti':
+    case 'UserMulti':
+      return { __metadata: { type: 'Collection(Edm.Int32)' }, results: value };
+    case 'DateTime':
+      return value.toISOString();
+    case 'URL': {
+      const link = typeof value === 'string' ? { Url: value, Description: value } : value;
+      return { __metadata: { type: 'SP.FieldUrlValue' }, ...link };
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate an item payload against a list's field definitions.
+ * Keys may use display names; the returned value uses SharePoint property
+ * names. With `partial` (updates) required fields may be omitted.
+ * Returns { errors: [{ field, message }], value }
+ */
+const validateListItem = (fields, payload, { partial = false } = {}) => {
+  const errors = [];
+  const normalized = {};
+  const fieldsByKey = {};
+
+  for (const [key, value] of Object.entries(payload)) {
+    const field = resolveField(fields, key);
+
+    if (!field) {
+      errors.push({ field: key, message: `"${key}" is not a field of this list` });
+      continue;
+    }
+    if (isReadOnly(field)) {
+      errors.push({ field: field.Title, message: `"${field.Title}" is read-only` });
+      continue;
+    }
+
+    const target = payloadKey(field);
+    if (target in normalized) {
+      errors.push({ field: field.Title, message: `"${field.Title}" is set more than once` });
+      continue;
+    }
+
+    normalized[target] = value;
+    fieldsByKey[target] = field;
+  }
+
+  if (!partial) {
+    fields
+      .filter(field => field.Required && !isReadOnly(field) && !(payloadKey(field) in normalized))
+      .forEach(field => errors.push({ field: field.Title, message: `"${field.Title}" is required` }));
+  }
+
+  const schema = Joi.object(
+    Object.fromEntries(Object.entries(fieldsByKey).map(([key, field]) => [key, fieldSchema(field)]))
+  );
+  const { error, value } = schema.validate(normalized, { abortEarly: false });
+
+  if (error) {
+    error.details.forEach(detail => errors.push({
+      field: fieldsByKey[detail.path[0]]?.Title || detail.path[0],
+      message: detail.message
+    }));
+  }
+
+  if (errors.length > 0) {
+    return { errors, value: null };
+  }
+
+  return {
+    errors,
+    value: Object.fromEntries(
+      Object.entries(value).map(([key, fieldValue]) => [key, toSharePointValue(fieldsByKey[key], fieldValue)])
+    )
+  };
+};
+
+module.exports = { validateListItem, resolveField, payloadKey, isReadOnly, toSharePointValue };
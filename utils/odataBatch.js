@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+/**
+ * Build a multipart/mixed $batch body. Every request gets its own changeset
+ * so one failure does not take the others down with it.
+ * requests: [{ method, url, headers, body }] with absolute URLs
+ * Returns { body, contentType }
+ */
+const buildBatchBody = (requests) => {
+  const batchBoundary = `batch_${crypto.randomUUID()}`;
+  const lines = [];
+
+  requests.forEach(({ method, url, headers = {}, body }) => {
+    const changesetBoundary = `changeset_${crypto.randomUUID()}`;
+
+    lines.push(
+      `--${batchBoundary}`,
+      `Content-Type: multipart/mixed; boundary="${changesetBoundary}"`,
+      'Content-Transfer-Encoding: binary',
+      '',
+      `--${changesetBoundary}`,
+      'Content-Type: application/http',
+      'Content-Transfer-Encoding: binary',
+      '',
+      `${method} ${url} HTTP/1.1`,
+      'Accept: application/json;odata=verbose',
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+    );
+
+    if (body !== undefined) {
+      lines.push('Content-Type: application/json;odata=verbose', '', JSON.stringify(body));
+    } else {
+      lines.push('');
+    }
+
+    lines.push('', `--${changesetBoundary}--`);
+  });
+
+  lines.push(`--${batchBoundary}--`, '');
+
+  return {
+    body: lines.join(CRLF),
+    contentType: `multipart/mixed; boundary="${batchBoundary}"`
+  };
+};
+
+const boundaryOf = (contentType) => {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Split a header block and body separated by the first blank line
+ */
+const splitHeaders = (text) => {
+  const match = /\r?\n\r?\n/.exec(text);
+  if (!match) return { headers: {}, body: '' };
+
+  const headers = {};
+  text.slice(0, match.index).split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+
+  return { headers, body: text.slice(match.index + match[0].length) };
+};
+
+/**
+ * Parse an embedded HTTP response (status line, headers, JSON body)
+ */
+const parseHttpResponse = (text) => {
+  const response = text.trimStart();
+  const statusMatch = /^HTTP\/1\.1 (\d{3})/.exec(response);
+  if (!statusMatch) return null;
+
+  // The status line has no colon, so it is skipped with the headers
+  const { body } = splitHeaders(response);
+  let data = null;
+  const trimmed = body.trim();
+
+  if (trimmed) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      data = trimmed;
+    }
+  }
+
+  return { status: parseInt(statusMatch[1]), data };
+};
+
+/**
+ * Parse a $batch response into one { status, data } per request, in order.
+ * Nested changeset responses are flattened.
+ */
+const parseBatchResponse = (text, contentType) => {
+  const boundary = boundaryOf(contentType) || (/^--([^\r\n]+)/.exec(text.trimStart()) || [])[1];
+  if (!boundary) return [];
+
+  const responses = [];
+  const parts = text.split(`--${boundary}`).slice(1);
+
+  parts.forEach(part => {
+    if (part.startsWith('--')) return;
+
+    const { headers, body } = splitHeaders(part.replace(/^\r?\n/, ''));
+    const nestedBoundary = /multipart\/mixed/i.test(headers['content-type'] || '')
+      ? headers['content-type']
+      : null;
+
+    if (nestedBoundary) {
+      responses.push(...parseBatchResponse(body, nestedBoundary));
+      return;
+    }
+
+    const response = parseHttpResponse(body);
+    if (response) responses.push(response);
+  });
+
+  return responses;
+};
+
+module.exports = { buildBatchBody, parseBatchResponse };
@@ -0,0 +1,186 @@
+/**
+ * OData query builder for SharePoint REST requests.
+ * Every value that ends up in a URL must go through this module so user
+ * input can never change the shape of a query.
+ */
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+const ORDER_DIRECTIONS = ['asc', 'desc'];
+
+const invalidQuery = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Escape a string for use inside a single-quoted OData literal
+ */
+const escapeString = (value) => String(value).replace(/'/g, "''");
+
+/**
+ * Quoted string literal, e.g. O'Brien -> 'O''Brien'
+ */
+const stringLiteral = (value) => `'${escapeString(value)}'`;
+
+/**
+ * datetime literal from a Date or any string Date can parse
+ */
+const dateLiteral = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw invalidQuery(`Invalid date value: ${value}`);
+  }
+  return `datetime'${date.toISOString()}'`;
+};
+
+/**
+ * Format any supported JavaScript value as an OData literal
+ */
+const formatValue = (value) => {
+  if (value === null) return 'null';
+  if (value instanceof Date) return dateLiteral(value);
+
+  switch (typeof value) {
+    case 'string':
+      return stringLiteral(value);
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw invalidQuery(`Invalid numeric value: ${value}`);
+      }
+      return String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    default:
+      throw invalidQuery(`Unsupported value type: ${typeof value}`);
+  }
+};
+
+/**
+ * Validate a field name (internal names and lookup paths such as Author/Title)
+ */
+const field = (name) => {
+  if (typeof name !== 'string' || !FIELD_PATTERN.test(name)) {
+    throw invalidQuery(`Invalid field name: ${name}`);
+  }
+  return name;
+};
+
+/**
+ * Parse a comma separated string or array into a list of validated fields
+ */
+const fieldList = (fields) => {
+  const names = Array.isArray(fields) ? fields : String(fields).split(',');
+  return names.map(name => field(name.trim()));
+};
+
+/**
+ * Comparison expression, e.g. compare('Author/Title', 'eq', 'Nicole')
+ */
+const compare = (fieldName, operator, value) => {
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw invalidQuery(`Invalid comparison operator: ${operator}`);
+  }
+  return `${field(fieldName)} ${operator} ${formatValue(value)}`;
+};
+
+const eq = (fieldName, value) => compare(fieldName, 'eq', value);
+const ne = (fieldName, value) => compare(fieldName, 'ne', value);
+const gt = (fieldName, value) => compare(fieldName, 'gt', value);
+const ge = (fieldName, value) => compare(fieldName, 'ge', value);
+const lt = (fieldName, value) => compare(fieldName, 'lt', value);
+const le = (fieldName, value) => compare(fieldName, 'le', value);
+
+/**
+ * String functions supported by SharePoint's OData v3 endpoint
+ */
+const substringof = (value, fieldName) => `substringof(${stringLiteral(value)}, ${field(fieldName)})`;
+const startswith = (fieldName, value) => `startswith(${field(fieldName)}, ${stringLiteral(value)})`;
+const endswith = (fieldName, value) => `endswith(${field(fieldName)}, ${stringLiteral(value)})`;
+
+/**
+ * Combine expressions, ignoring empty ones. Each part is parenthesised so
+ * precedence never depends on what the caller passed in.
+ */
+const combine = (operator, expressions) => {
+  const parts = expressions.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return parts.map(part => `(${part})`).join(` ${operator} `);
+};
+
+const and = (...expressions) => combine('and', expressions);
+const or = (...expressions) => combine('or', expressions);
+
+/**
+ * Validate an orderby clause: "Modified desc" or ["Modified desc", "Title"]
+ */
+const orderBy = (clauses) => {
+  const parts = Array.isArray(clauses) ? clauses : String(clauses).split(',');
+
+  return parts.map(clause => {
+    const [name, direction, ...rest] = clause.trim().split(/\s+/);
+    if (rest.length > 0 || (direction && !ORDER_DIRECTIONS.includes(direction.toLowerCase()))) {
+      throw invalidQuery(`Invalid orderby clause: ${clause}`);
+    }
+    return direction ? `${field(name)} ${direction.toLowerCase()}` : field(name);
+  }).join(',');
+};
+
+const positiveInteger = (value, name) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw invalidQuery(`${name} must be a non-negative integer`);
+  }
+  return parsed;
+};
+
+/**
+ * Build a query string from OData options.
+ * `filter` is an expression built with this module (or a caller supplied
+ * raw filter); every value is URL encoded so it cannot add parameters.
+ */
+const buildQuery = (options = {}) => {
+  const { filter, select, expand, orderby, top, skip } = options;
+  const params = [];
+
+  if (filter) params.push(['$filter', filter]);
+  if (select) params.push(['$select', fieldList(select).join(',')]);
+  if (expand) params.push(['$expand', fieldList(expand).join(',')]);
+  if (orderby) params.push(['$orderby', orderBy(orderby)]);
+  if (top !== undefined && top !== null) params.push(['$top', positiveInteger(top, '$top')]);
+  if (skip !== undefined && skip !== null) params.push(['$skip', positiveInteger(skip, '$skip')]);
+
+  if (params.length === 0) return '';
+  return `?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+/**
+ * Quoted literal for a URL path segment, e.g. getbytitle('...')
+ */
+const pathLiteral = (value) => `'${encodeURIComponent(escapeString(value))}'`;
+
+module.exports = {
+  escapeString,
+  stringLiteral,
+  dateLiteral,
+  formatValue,
+  field,
+  fieldList,
+  compare,
+  eq,
+  ne,
+  gt,
+  ge,
+  lt,
+  le,
+  substringof,
+  startswith,
+  endswith,
+  and,
+  or,
+  orderBy,
+  buildQuery,
+  pathLiteral
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+/**
+ * Redis cache adapter with tag-based invalidation, shared by every instance
+ * connected to the same Redis server. Same interface as TaggedCache.
+ *
+ * Values are stored as JSON. Each tag is a Redis set of the keys carrying it;
+ * the set lives as long as its longest-lived entry (EXPIRE NX/GT, Redis 7+).
+ * Invalidation counters live outside the namespace pattern, so a flush
+ * counts as a change instead of resetting them.
+ */
+// How long an idle invalidation counter is kept (seconds); it only has to
+// outlast the loads that compare it
+const GENERATION_TTL = 24 * 60 * 60;
+
+class RedisCache {
+  constructor(client, { namespace, stdTTL }) {
+    this.client = client;
+    this.namespace = namespace;
+    this.stdTTL = stdTTL;
+  }
+
+  key(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  tagKey(tag) {
+    return `${this.namespace}:tag:${tag}`;
+  }
+
+  generationKey(tag) {
+    return `${this.namespace}#generation:${tag}`;
+  }
+
+  get flushKey() {
+    return `${this.namespace}#flushes`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.key(key));
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, { tags = [], ttl = this.stdTTL } = {}) {
+    const pipeline = this.client.multi();
+
+    // A TTL of 0 keeps the entry until it is deleted, as with NodeCache
+    if (!ttl) {
+      pipeline.set(this.key(key), JSON.stringify(value));
+      tags.forEach(tag => pipeline.sadd(this.tagKey(tag), this.key(key)));
+      await pipeline.exec();
+      return;
+    }
+
+    pipeline.set(this.key(key), JSON.stringify(value), 'EX', ttl);
+
+    tags.forEach(tag => {
+      pipeline.sadd(this.tagKey(tag), this.key(key));
+      // Set an expiry on new sets, otherwise only ever extend it
+      pipeline.expire(this.tagKey(tag), ttl, 'NX');
+      pipeline.expire(this.tagKey(tag), ttl, 'GT');
+    });
+
+    await pipeline.exec();
+  }
+
+  async del(key) {
+    await this.client.del(this.key(key));
+  }
+
+  /**
+   * Drop every entry carrying any of the tags; returns the number dropped
+   */
+  async invalidateTags(tags) {
+    const counters = this.client.multi();
+    tags.forEach(tag => counters.incr(this.generationKey(tag)).expire(this.generationKey(tag), GENERATION_TTL));
+    await counters.exec();
+
+    const tagKeys = tags.map(tag => this.tagKey(tag));
+    const members = await Promise.all(tagKeys.map(tagKey => this.client.smembers(tagKey)));
+    const keys = [...new Set(members.flat())];
+
+    const dropped = keys.length > 0 ? await this.client.del(...keys) : 0;
+    await this.client.del(...tagKeys);
+    return dropped;
+  }
+
+  async flush() {
+    await this.client.multi().incr(this.flushKey).expire(this.flushKey, GENERATION_TTL).exec();
+
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.namespace}:*`, 'COUNT', 500);
+      if (keys.length > 0) await this.client.del(...keys);
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  /**
+   * Opaque marker that changes whenever any of the tags is invalidated or the
+   * cache is flushed, on any instance
+   */
+  async generation(tags = []) {
+    const values = await this.client.mget(this.flushKey, ...tags.map(tag => this.generationKey(tag)));
+    return values.map(value => value || 0).join(',');
+  }
+
+  /**
+   * Try to take a short-lived lock for loading `key`.
+   * Returns a release function, or null if another instance holds the lock.
+   */
+  async lock(key, timeoutMs) {
+    const lockKey = `${this.namespace}:lock:${key}`;
+    const token = crypto.randomUUID();
+    const acquired = await this.client.set(lockKey, token, 'PX', timeoutMs, 'NX');
+    if (!acquired) return null;
+
+    return async () => {
+      // Only release the lock if it is still ours
+      await this.client.eval(
+        'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+        1,
+        lockKey,
+        token
+      );
+    };
+  }
+}
+
+module.exports = RedisCache;
@@ -0,0 +1,14 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request state shared between Express middleware and the services
+ * that run on behalf of that request (e.g. SharePoint retry counts).
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Current request context, or null outside of a request
+ */
+const getRequestContext = () => requestContext.getStore() || null;
+
+module.exports = { requestContext, getRequestContext };
@@ -0,0 +1,60 @@
+const config = require('../config/sharepoint.config');
+
+// Methods that are safe to send again after a throttled or failed attempt
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses SharePoint uses for throttling and transient outages
+const THROTTLE_STATUSES = [429, 503];
+const RETRYABLE_STATUSES = [...THROTTLE_STATUSES, 502, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+const isIdempotent = (method) => IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+
+const isThrottled = (error) => THROTTLE_STATUSES.includes(error.response?.status);
+
+const isRetryable = (error) => {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Retry-After in milliseconds (delta-seconds or HTTP date), or null
+ */
+const parseRetryAfter = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Delay before the next attempt: Retry-After when SharePoint sends it,
+ * otherwise exponential backoff with equal jitter
+ */
+const retryDelay = (error, attempt) => {
+  const retryAfter = parseRetryAfter(error);
+  if (retryAfter !== null) return retryAfter;
+
+  const { baseDelayMs, maxDelayMs } = config.retry;
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  isIdempotent,
+  isThrottled,
+  isRetryable,
+  parseRetryAfter,
+  retryDelay,
+  sleep
+};
@@ -0,0 +1,114 @@
+/**
+ * Convert a search cell value to a JS value according to its Edm type
+ */
+const cellValue = ({ Value: value, ValueType: type }) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (type) {
+    case 'Edm.Int32':
+    case 'Edm.Int64':
+    case 'Edm.Double':
+    case 'Edm.Decimal':
+      return Number(value);
+    case 'Edm.Boolean':
+      return String(value).toLowerCase() === 'true';
+    case 'Edm.DateTime':
+      return new Date(value).toISOString();
+    default:
+      return value;
+  }
+};
+
+const resultsOf = (collection) => collection?.results || collection || [];
+
+/**
+ * Flatten a search row ({ Cells: [{ Key, Value, ValueType }] }) into an object
+ */
+const flattenRow = (row) => Object.fromEntries(
+  resultsOf(row.Cells).map(cell => [cell.Key, cellValue(cell)])
+);
+
+/**
+ * Bounds of a range refinement token, e.g. range(2024-01-01T00:00:00Z, max)
+ */
+const rangeOf = (token) => {
+  const match = /^range\((.*?),\s*(.*?)(?:,.*)?\)$/.exec(token || '');
+  if (!match) return null;
+
+  const bound = (value) => (['min', 'max'].includes(value) ? null : value);
+  return { from: bound(match[1]), to: bound(match[2]) };
+};
+
+/**
+ * Shape a verbose /_api/search/query response:
+ * { totalRows, rowCount, rows, refiners: { name: [{ value, count, token, range? }] } }
+ * refinerNames maps managed property names back to the names the caller used.
+ */
+const shapeSearchResults = (data, refinerNames = {}) => {
+  const primary = data.d.query.PrimaryQueryResult;
+  const relevant = primary?.RelevantResults;
+  const refiners = {};
+
+  resultsOf(primary?.RefinementResults?.Refiners).forEach(refiner => {
+    const name = refinerNames[refiner.Name] || refiner.Name;
+    refiners[name] = resultsOf(refiner.Entries).map(entry => {
+      const range = rangeOf(entry.RefinementToken);
+      return {
+        value: entry.RefinementName,
+        count: Number(entry.RefinementCount),
+        token: entry.RefinementToken,
+        ...(range && { range })
+      };
+    });
+  });
+
+  return {
+    totalRows: relevant?.TotalRows || 0,
+    totalRowsIncludingDuplicates: relevant?.TotalRowsIncludingDuplicates || 0,
+    rowCount: relevant?.RowCount || 0,
+    rows: resultsOf(relevant?.Table?.Rows).map(flattenRow),
+    refiners
+  };
+};
+
+/**
+ * Server-relative, decoded path of an absolute URL from the search index
+ */
+const serverRelativePath = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname);
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Shape a flattened file search row like a getAllFiles item, keeping the
+ * hit-highlighted summary (<c0>term</c0> marks the hits, <ddd/> elisions)
+ */
+const toFileItem = (row) => {
+  const fileRef = serverRelativePath(row.Path || '');
+  const name = row.Filename || fileRef.split('/').pop();
+  const author = row.CreatedBy || String(row.Author || '').split(';')[0] || null;
+
+  return {
+    Id: row.ListItemID ? Number(row.ListItemID) : null,
+    Title: row.Title || null,
+    FileLeafRef: name,
+    FileRef: fileRef,
+    FileDirRef: fileRef.slice(0, fileRef.lastIndexOf('/')),
+    File: {
+      Name: name,
+      ServerRelativeUrl: fileRef,
+      TimeLastModified: row.LastModifiedTime,
+      Length: row.Size === null || row.Size === undefined ? null : String(row.Size)
+    },
+    Author: { Title: author },
+    Editor: { Title: row.ModifiedBy || null },
+    Modified: row.LastModifiedTime,
+    Created: row.Created,
+    HitHighlightedSummary: row.HitHighlightedSummary || null
+  };
+};
+
+module.exports = { shapeSearchResults, flattenRow, toFileItem };
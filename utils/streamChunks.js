@@ -0,0 +1,33 @@
+/**
+ * Read a stream into fixed-size Buffer chunks.
+ * Every chunk is exactly `chunkSize` bytes except the last one.
+ */
+async function* readChunks(stream, chunkSize) {
+  let pending = [];
+  let pendingLength = 0;
+
+  for await (const piece of stream) {
+    let buffer = Buffer.isBuffer(piece) ? piece : Buffer.from(piece);
+
+    while (pendingLength + buffer.length >= chunkSize) {
+      const needed = chunkSize - pendingLength;
+      pending.push(buffer.subarray(0, needed));
+      yield Buffer.concat(pending);
+
+      buffer = buffer.subarray(needed);
+      pending = [];
+      pendingLength = 0;
+    }
+
+    if (buffer.length > 0) {
+      pending.push(buffer);
+      pendingLength += buffer.length;
+    }
+  }
+
+  if (pendingLength > 0) {
+    yield Buffer.concat(pending);
+  }
+}
+
+module.exports = { readChunks };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Webhook subscription state in a Redis hash (one field per subscription),
+ * shared by every instance and kept across restarts. HSET/HDEL are atomic,
+ * so there is no separate index to keep in step.
+ */
+class RedisSubscriptionStore {
+  constructor(client, { key }) {
+    this.client = client;
+    this.key = key;
+  }
+
+  async get(id) {
+    const raw = await this.client.hget(this.key, id);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async save(id, state) {
+    await this.client.hset(this.key, id, JSON.stringify(state));
+  }
+
+  async remove(id) {
+    await this.client.hdel(this.key, id);
+  }
+
+  async ids() {
+    return await this.client.hkeys(this.key);
+  }
+}
+
+/**
+ * Webhook subscription state in a JSON file, for single-instance deployments.
+ * The file is read once; every change updates the in-memory map synchronously
+ * and is then written out in order (to a temp file that replaces the old one).
+ */
+class FileSubscriptionStore {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.states = null;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (this.states) return this.states;
+
+    try {
+      this.states = new Map(Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf8'))));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load webhook subscriptions from ${this.file}: ${error.message}`);
+      }
+      this.states = new Map();
+    }
+    return this.states;
+  }
+
+  async persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.load()), null, 2);
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, snapshot);
+      await fs.promises.rename(temp, this.file);
+    };
+
+    this.writing = this.writing.catch(() => {}).then(write);
+    await this.writing;
+  }
+
+  async get(id) {
+    return this.load().get(id);
+  }
+
+  async save(id, state) {
+    this.load().set(id, state);
+    await this.persist();
+  }
+
+  async remove(id) {
+    if (this.load().delete(id)) await this.persist();
+  }
+
+  async ids() {
+    return [...this.load().keys()];
+  }
+}
+
+module.exports = { RedisSubscriptionStore, FileSubscriptionStore };
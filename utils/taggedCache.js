@@ -0,0 +1,93 @@
+const NodeCache = require('node-cache');
+
+/**
+ * In-memory cache adapter (NodeCache) with tag-based invalidation.
+ * Entries are stored with a set of tags (site, list, ...) and every entry
+ * carrying a tag can be dropped at once, which plain key deletes cannot do
+ * for query results keyed by their full endpoint.
+ *
+ * Adapter interface shared with RedisCache; all methods are async:
+ * get, set(key, value, { tags, ttl }), del, invalidateTags, flush, generation
+ */
+class TaggedCache {
+  constructor(options = {}) {
+    this.cache = new NodeCache(options);
+    this.tagIndex = new Map();
+    this.keyTags = new Map();
+    // Invalidations per tag and flushes so far, see generation()
+    this.tagGenerations = new Map();
+    this.flushes = 0;
+
+    this.cache.on('expired', key => this.untrack(key));
+    this.cache.on('del', key => this.untrack(key));
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, value, { tags = [], ttl } = {}) {
+    this.untrack(key);
+
+    if (ttl === undefined) {
+      this.cache.set(key, value);
+    } else {
+      this.cache.set(key, value, ttl);
+    }
+
+    this.keyTags.set(key, tags);
+    tags.forEach(tag => {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    });
+  }
+
+  async del(key) {
+    this.cache.del(key);
+  }
+
+  /**
+   * Drop every entry carrying any of the tags; returns the number dropped
+   */
+  async invalidateTags(tags) {
+    tags.forEach(tag => this.tagGenerations.set(tag, (this.tagGenerations.get(tag) || 0) + 1));
+
+    const keys = new Set();
+    tags.forEach(tag => this.tagIndex.get(tag)?.forEach(key => keys.add(key)));
+
+    if (keys.size > 0) {
+      this.cache.del([...keys]);
+    }
+    return keys.size;
+  }
+
+  async flush() {
+    this.flushes++;
+    this.cache.flushAll();
+    this.tagIndex.clear();
+    this.keyTags.clear();
+  }
+
+  /**
+   * Opaque marker that changes whenever any of the tags is invalidated or the
+   * cache is flushed; a load compares it before and after to spot stale results
+   */
+  async generation(tags = []) {
+    return [this.flushes, ...tags.map(tag => this.tagGenerations.get(tag) || 0)].join(',');
+  }
+
+  untrack(key) {
+    const tags = this.keyTags.get(key);
+    if (!tags) return;
+
+    tags.forEach(tag => {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    });
+    this.keyTags.delete(key);
+  }
+}
+
+module.exports = TaggedCache;
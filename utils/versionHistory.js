@@ -0,0 +1,116 @@
+const { payloadKey, isReadOnly, toSharePointValue } = require('./listItemValidator');
+
+// Field types holding the document itself rather than an item value
+const FILE_FIELD_TYPES = ['File', 'Attachments'];
+
+const resultsOf = (collection) => collection?.results || collection || [];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * A version's value for a field, in the form the item validator produces
+ * (versions return lookups and users as { LookupId, LookupValue })
+ */
+const versionValue = (field, version) => {
+  const value = version[field.EntityPropertyName] ?? version[field.InternalName];
+  if (value === undefined || value === null) return null;
+
+  switch (field.TypeAsString) {
+    case 'Lookup':
+    case 'User':
+      return typeof value === 'object' ? value.LookupId ?? null : value;
+    case 'LookupMulti':
+    case 'UserMulti':
+      return resultsOf(value).map(entry => entry.LookupId);
+    case 'MultiChoice':
+      return resultsOf(value);
+    case 'DateTime':
+      return new Date(value);
+    case 'URL':
+      return { Url: value.Url, Description: value.Description };
+    default:
+      return value;
+  }
+};
+
+/**
+ * Editable field values of a list item version, keyed and shaped as
+ * getItemById returns them (lookups as <Field>Id)
+ */
+const versionValues = (fields, version) => Object.fromEntries(
+  fields
+    .filter(field => !isReadOnly(field) && !FILE_FIELD_TYPES.includes(field.TypeAsString))
+    .map(field => [payloadKey(field), toSharePointValue(field, versionValue(field, version))])
+);
+
+/**
+ * Fields whose value differs from the previous version: { key: { from, to } }
+ */
+const changedFields = (values, previous = {}) => Object.fromEntries(
+  Object.entries(values)
+    .filter(([key, value]) => !sameValue(value, previous[key]))
+    .map(([key, value]) => [key, { from: previous[key] ?? null, to: value }])
+);
+
+/**
+ * Values to write so the item matches a version again (only those that differ)
+ */
+const restorePayload = (target, current) => Object.fromEntries(
+  Object.entries(target).filter(([key, value]) => !sameValue(value, current[key]))
+);
+
+/**
+ * Shape list item versions (newest first) like getItemById items, adding the
+ * version, its editor, the file size (library items) and the changed fields
+ * sizes maps VersionId -> file size for library items
+ */
+const shapeItemVersions = (itemId, fields, versions, sizes = {}) => {
+  const ordered = [...resultsOf(versions)].sort((a, b) => b.VersionId - a.VersionId);
+  const values = ordered.map(version => versionValues(fields, version));
+
+  return ordered.map((version, index) => ({
+    Id: itemId,
+    ...values[index],
+    VersionId: version.VersionId,
+    VersionLabel: version.VersionLabel,
+    IsCurrentVersion: Boolean(version.IsCurrentVersion),
+    Modified: version.Modified || version.Created,
+    EditorId: version.Editor?.LookupId ?? null,
+    Editor: { Title: version.Editor?.LookupValue || null, Email: version.Editor?.Email || null },
+    ...(version.FileRef && { FileRef: version.FileRef, Size: sizes[version.VersionId] ?? null }),
+    ChangedFields: changedFields(values[index], values[index + 1])
+  }));
+};
+
+/**
+ * Shape a file's versions (newest first) the same way. SharePoint lists only
+ * earlier versions, so the current one is taken from the file itself.
+ */
+const shapeFileVersions = (file, versions) => {
+  const current = {
+    ID: file.UIVersion,
+    VersionLabel: file.UIVersionLabel,
+    Created: file.TimeLastModified,
+    Size: file.Length,
+    CheckInComment: file.CheckInComment,
+    CreatedBy: file.ModifiedBy,
+    IsCurrentVersion: true
+  };
+
+  return [current, ...resultsOf(versions).filter(version => version.ID !== current.ID)]
+    .sort((a, b) => b.ID - a.ID)
+    .map(version => ({
+      VersionId: version.ID,
+      VersionLabel: version.VersionLabel,
+      IsCurrentVersion: Boolean(version.IsCurrentVersion),
+      FileLeafRef: file.Name,
+      FileRef: file.ServerRelativeUrl,
+      Modified: version.Created,
+      EditorId: version.CreatedBy?.Id ?? null,
+      Editor: { Title: version.CreatedBy?.Title || null, Email: version.CreatedBy?.Email || null },
+      Size: version.Size === undefined || version.Size === null ? null : Number(version.Size),
+      CheckInComment: version.CheckInComment || null
+    }));
+};
+
+module.exports = { versionValues, restorePayload, shapeItemVersions, shapeFileVersions };